@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const NamesDB = require('./lib/namesdb');
+
+const NAMES_JSON = Path.resolve(__dirname, 'build', 'names.json');
+const NAMES_DB = Path.resolve(__dirname, 'build', 'names.db');
+
+const db = NamesDB.fromFile(NAMES_DB);
+const args = process.argv.slice(2);
+
+// Lookup mode: `./check-names.js google facebook`.
+if (args.length > 0) {
+  let missing = 0;
+
+  for (const arg of args) {
+    const item = /^[0-9a-f]{64}$/.test(arg)
+      ? db.get(Buffer.from(arg, 'hex'))
+      : db.getByName(arg);
+
+    if (!item) {
+      console.error('Not found: %s.', arg);
+      missing += 1;
+      continue;
+    }
+
+    console.log(JSON.stringify({
+      name: item.name,
+      hash: item.hash.toString('hex'),
+      target: item.target,
+      flags: item.flags,
+      root: item.root,
+      top100: item.top100,
+      embargoed: item.embargoed,
+      custom: item.custom
+    }, null, 2));
+  }
+
+  if (missing > 0)
+    process.exit(1);
+
+  return;
+}
+
+// Verification mode.
+const json = JSON.parse(fs.readFileSync(NAMES_JSON, 'utf8'));
+const errors = db.verify(json);
+
+for (const err of errors)
+  console.error(err);
+
+if (errors.length > 0) {
+  console.error('%d errors found in %s.', errors.length, NAMES_DB);
+  process.exit(1);
+}
+
+console.log('Verified %d entries in %s.', db.size, NAMES_DB);
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const Policy = require('./lib/policy');
+const {Rewards, format} = require('./lib/rewards');
+
+const VALID = require('./build/valid.json');
+const VALUES = require('./names/values.json');
+
+const POLICY_PATH = Path.resolve(__dirname, 'names', 'policy.json');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const files = args.filter(arg => arg !== '--json');
+
+if (files.length > 1 || files.some(arg => arg[0] === '-')) {
+  console.error('Usage: ./check-policy.js [--json] [policy.json]');
+  process.exit(1);
+}
+
+const file = files.length > 0 ? files[0] : POLICY_PATH;
+
+let input;
+
+try {
+  input = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (e) {
+  console.error('Could not read %s: %s', file, e.message);
+  process.exit(1);
+}
+
+// Schema errors are reported instead of thrown.
+const errors = Policy.validate(input);
+
+if (errors.length > 0) {
+  if (json) {
+    console.log(JSON.stringify({ ok: false, errors }, null, 2));
+  } else {
+    console.log('%s is invalid:', file);
+    for (const err of errors)
+      console.log('  %s', err);
+  }
+  process.exitCode = 1;
+  return;
+}
+
+const rewards = Rewards.fromValid(VALID, {
+  policy: Policy.fromJSON(input),
+  values: VALUES
+});
+
+const report = rewards.reconcile();
+
+if (json) {
+  report.errors = [];
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(format(report));
+}
+
+if (!report.ok)
+  process.exitCode = 1;
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const Resource = require('namebase-hsd/lib/dns/resource');
+const TLDDB = require('./lib/tlddb');
+
+const ZONE_JSON = Path.resolve(__dirname, 'build', 'root.json');
+const TLD_JSON = Path.resolve(__dirname, 'build', 'tld.json');
+const TLD_DB = Path.resolve(__dirname, 'build', 'tld.db');
+
+const db = TLDDB.fromFile(TLD_DB);
+const args = process.argv.slice(2);
+
+// Dump mode: `./check-tld.js --all`.
+if (args.length === 1 && args[0] === '--all') {
+  const out = Object.create(null);
+
+  for (const [name, res] of db.resources())
+    out[name] = res.toJSON();
+
+  console.log(JSON.stringify(out, null, 2));
+
+  return;
+}
+
+// Lookup mode: `./check-tld.js com net`.
+if (args.length > 0) {
+  let missing = 0;
+
+  for (const arg of args) {
+    const json = db.getJSON(arg);
+
+    if (!json) {
+      console.error('Not found: %s.', arg);
+      missing += 1;
+      continue;
+    }
+
+    console.log(JSON.stringify(json, null, 2));
+  }
+
+  if (missing > 0)
+    process.exit(1);
+
+  return;
+}
+
+// Verification mode.
+const json = JSON.parse(fs.readFileSync(TLD_JSON, 'utf8'));
+const root = JSON.parse(fs.readFileSync(ZONE_JSON, 'utf8'));
+const errors = db.verify(json);
+
+// Ensure the committed resources are
+// exactly what root.json serializes to.
+for (const key of Object.keys(root)) {
+  const name = key.slice(0, -1);
+  const raw = db.getRaw(name);
+
+  if (!raw) {
+    errors.push(`Missing entry for root zone TLD: ${name}.`);
+    continue;
+  }
+
+  const blob = Resource.fromJSON(root[key]).encode();
+
+  if (!raw.equals(blob))
+    errors.push(`Resource does not match root zone: ${name}.`);
+}
+
+if (Object.keys(root).length !== db.size)
+  errors.push(`Size mismatch: ${db.size} != ${Object.keys(root).length}.`);
+
+for (const err of errors)
+  console.error(err);
+
+if (errors.length > 0) {
+  console.error('%d errors found in %s.', errors.length, TLD_DB);
+  process.exit(1);
+}
+
+console.log('Verified %d entries in %s.', db.size, TLD_DB);
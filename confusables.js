@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const {Confusables} = require('./lib/confusables');
+
+const VALID = require('./build/valid.json');
+const RTLD = require('./names/rtld.json');
+
+const JSON_PATH = Path.resolve(__dirname, 'build', 'confusables.json');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const names = args.filter(arg => arg !== '--json');
+
+if (names.some(arg => arg[0] === '-')) {
+  console.error('Usage: ./confusables.js [--json] [name...]');
+  process.exit(1);
+}
+
+const index = Confusables.fromValid(VALID, RTLD);
+
+// Look up the given names.
+if (names.length > 0) {
+  const results = names.map((name) => {
+    return { name, confusables: index.confusablesOf(name) };
+  });
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  for (const {name, confusables} of results) {
+    if (confusables.length === 0) {
+      console.log('%s: no confusable names', name);
+      continue;
+    }
+
+    console.log('%s:', name);
+
+    for (const item of confusables)
+      console.log('  %s', describe(item));
+  }
+
+  return;
+}
+
+// Otherwise, write the report.
+const clusters = index.clusters();
+
+const report = {
+  summary: {
+    names: index.names.size,
+    clusters: clusters.length,
+    confusable: clusters.reduce((sum, c) => sum + c.names.length, 0)
+  },
+  clusters
+};
+
+fs.writeFileSync(JSON_PATH, JSON.stringify(report, null, 2) + '\n');
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+  return;
+}
+
+for (const {skeleton, names} of clusters)
+  console.log('%s: %s', skeleton, names.map(describe).join(', '));
+
+console.log('');
+console.log('%d confusable names in %d clusters (of %d names).',
+            report.summary.confusable, clusters.length, report.summary.names);
+
+function describe({name, unicode, domain, rank}) {
+  const label = unicode ? `${name} (${unicode})` : name;
+  return `${label} [${domain}, ${rank}]`;
+}
@@ -4,127 +4,342 @@
 
 const Path = require('path');
 const fs = require('bfile');
-const StubResolver = require('bns/lib/resolver/stub');
-const dnssec = require('bns/lib/dnssec');
 const wire = require('bns/lib/wire');
+const {Crawler, CrawlState} = require('./lib/crawler');
+const keycheck = require('./lib/keycheck');
 const root = require('./build/root.json');
-const {types, DSRecord, hashes} = wire;
+const {types, Record, DSRecord} = wire;
 
 const KEYS_PATH = Path.resolve(__dirname, 'build', 'keys.zone');
+const REPORT_PATH = Path.resolve(__dirname, 'build', 'dnssec.json');
+const STATE_PATH = Path.resolve(__dirname, 'build', 'keys.state.json');
 
-const names = Object.keys(root).sort();
-
-const stub = new StubResolver({
-  rd: true,
-  cd: true,
-  edns: true,
-  ednsSize: 4096,
-  dnssec: true,
-  maxAttempts: 10,
-  maxTimeout: 3000,
-  hosts: [
-    ['localhost.', '127.0.0.1'],
-    ['localhost.', '::1']
-  ],
-  // Note: safe to use a 3rd-party resolver,
-  // we verify the DS record hashes below.
-  servers: ['8.8.8.8', '8.8.4.4']
-});
+const args = parseArgs(process.argv.slice(2));
+
+// Note: safe to use a 3rd-party resolver, we verify
+// the DS record hashes and RRSIGs (lib/keycheck.js).
+const crawler = new Crawler(args.options);
+
+const state = args.fresh
+  ? new CrawlState()
+  : CrawlState.fromFile(args.state);
 
-const records = [];
+const names = args.names.length > 0
+  ? args.names.map(name => name.toLowerCase().replace(/\.?$/, '.'))
+  : Object.keys(root).sort();
+
+let pending = 0;
 
 (async () => {
-  await stub.open();
+  await crawler.open();
+
+  // Save progress on ^C, a rerun picks up
+  // where this one left off.
+  process.on('SIGINT', () => {
+    state.toFile(args.state);
+    process.exit(130);
+  });
+
+  const todo = [];
+
+  let done = 0;
 
   for (const name of names) {
     const zone = root[name];
 
-    if (zone.ds.length === 0)
+    if (!zone) {
+      console.log(`Not in the root zone: ${name}`);
       continue;
+    }
 
-    console.log(`Crawling ${name}..`);
+    if (zone.ds.length === 0)
+      continue;
 
-    const ds = zone.ds.map(json => DSRecord.fromJSON(json));
-    const dsMap = new Map();
+    if (current(name)) {
+      done += 1;
+      continue;
+    }
 
-    for (const rd of ds) {
-      if (!dsMap.get(rd.keyTag))
-        dsMap.set(rd.keyTag, new Map());
+    todo.push(name);
+  }
 
-      const map = dsMap.get(rd.keyTag);
-      map.set(rd.digestType, rd);
-    }
+  console.log('Crawling %d TLDs (%d up to date, %d servers).',
+    todo.length, done, crawler.servers.length);
 
-    let res;
+  await crawler.each(todo, async (name) => {
+    const key = dsKey(root[name].ds);
 
     try {
-      res = await stub.lookup(name, types.DNSKEY);
+      state.set(name, key, null, await crawl(name));
     } catch (e) {
-      console.log(`Could not lookup: ${name}`);
-      continue;
+      console.log(`Could not lookup ${name}: ${e.message}`);
+      state.set(name, key, e);
     }
 
-    let found = 0;
+    pending += 1;
 
-    for (const rr of res.answer) {
-      if (rr.type !== types.DNSKEY)
-        continue;
+    if (pending >= args.checkpoint) {
+      state.toFile(args.state);
+      pending = 0;
+    }
+  });
 
-      const rd = rr.data;
-      const map = dsMap.get(rd.keyTag());
+  state.toFile(args.state);
 
-      if (!map)
-        continue;
+  await crawler.close();
 
-      for (const parent of map.values()) {
-        const ds = dnssec.createDS(rr, parent.digestType);
+  const results = check();
 
-        if (!ds)
-          continue;
+  writeKeys(results);
+  writeReport(results);
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
 
-        if (parent.digestType === hashes.SHA1 && map.size > 1)
-          continue;
+async function crawl(name) {
+  const res = await crawler.lookup(name, types.DNSKEY);
+  const answer = [];
 
-        if (!ds.data.digest.equals(parent.digest))
-          continue;
+  for (const rr of res.answer) {
+    if (rr.type === types.DNSKEY)
+      answer.push(rr.toString());
 
-        if (ds.data.algorithm !== parent.algorithm)
-          continue;
+    if (rr.type === types.RRSIG && rr.data.typeCovered === types.DNSKEY)
+      answer.push(rr.toString());
+  }
 
-        console.log(rr.toString());
+  console.log(`Crawled ${name} (${answer.length} records).`);
 
-        found += 1;
-        records.push(rr);
+  return { answer };
+}
 
-        break;
-      }
+function check() {
+  const results = [];
+
+  for (const name of Object.keys(root).sort()) {
+    const {ds} = root[name];
+    const entry = current(name);
+
+    if (ds.length === 0 || !entry)
+      continue;
+
+    if (entry.error != null) {
+      results.push(keycheck.failure(name, ds, entry.error));
+      continue;
     }
 
-    if (found)
-      records.push(null);
+    const answer = entry.data.answer.map(str => Record.fromString(str));
+
+    results.push(keycheck.check(name, ds, answer));
+  }
+
+  return results;
+}
+
+function writeKeys(results) {
+  // A partial state (e.g. a fresh checkout crawling a
+  // few TLDs) only replaces the keys of those TLDs.
+  const keys = complete() ? new Map() : readKeys();
 
-    if (found < dsMap.size)
-      console.log(`Missing DNS keys for: ${name} (${found} < ${dsMap.size}).`);
+  for (const {name} of results) {
+    const {ds} = root[name];
+    const entry = state.get(name);
 
-    console.log('');
+    if (entry.error != null)
+      continue;
+
+    const parents = ds.map(json => DSRecord.fromJSON(json));
+    const answer = entry.data.answer.map(str => Record.fromString(str));
+    const keyset = answer.filter(rr => rr.type === types.DNSKEY);
+    const matched = keycheck.match(parents, keyset);
+    const records = keyset.filter(rr => matched.get(rr.data.keyTag()) === rr);
 
-    await new Promise(r => setTimeout(r, 500));
+    if (records.length === 0) {
+      keys.delete(name);
+      continue;
+    }
+
+    keys.set(name, records.map(rr => rr.toString()));
   }
 
   let text = '';
 
-  for (const rr of records) {
-    if (!rr) {
-      text += '\n';
+  for (const name of [...keys.keys()].sort()) {
+    for (const line of keys.get(name))
+      text += line + '\n';
+
+    text += '\n';
+  }
+
+  fs.writeFileSync(KEYS_PATH, text);
+}
+
+function readKeys() {
+  const keys = new Map();
+
+  if (!fs.existsSync(KEYS_PATH))
+    return keys;
+
+  const text = fs.readFileSync(KEYS_PATH, 'utf8');
+
+  for (const line of text.split('\n')) {
+    if (line.trim().length === 0)
       continue;
+
+    const name = line.split(/\s+/)[0].toLowerCase();
+
+    if (!keys.has(name))
+      keys.set(name, []);
+
+    keys.get(name).push(line);
+  }
+
+  return keys;
+}
+
+function writeReport(results) {
+  const tlds = Object.create(null);
+
+  // Likewise, keep the findings for TLDs
+  // which are not in the state.
+  if (!complete() && fs.existsSync(REPORT_PATH)) {
+    const json = JSON.parse(fs.readFileSync(REPORT_PATH, 'utf8'));
+
+    for (const name of Object.keys(json.tlds))
+      tlds[name] = json.tlds[name];
+  }
+
+  for (const result of results) {
+    if (result.status !== 'ok')
+      console.log('%s: %s', result.name, result.issues.join(', '));
+
+    tlds[result.name] = result;
+  }
+
+  const summary = keycheck.summarize(Object.values(tlds));
+
+  console.log('');
+  console.log('%d TLDs: %d ok, %d warnings, %d errors.',
+    summary.tlds, summary.ok, summary.warning, summary.error);
+
+  const report = {
+    time: Math.floor(Date.now() / 1000),
+    summary,
+    tlds
+  };
+
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + '\n');
+}
+
+// The state entry for a name, if it matches the current
+// DS set. Checkpoints written before signatures were kept
+// have no `answer` and are treated as stale.
+function current(name) {
+  const entry = state.get(name);
+
+  if (!entry || entry.key !== dsKey(root[name].ds))
+    return null;
+
+  if (entry.error == null && (!entry.data || !entry.data.answer))
+    return null;
+
+  return entry;
+}
+
+// Whether every signed TLD has an up to date entry.
+function complete() {
+  for (const name of Object.keys(root)) {
+    if (root[name].ds.length > 0 && !current(name))
+      return false;
+  }
+
+  return true;
+}
+
+function dsKey(ds) {
+  return ds.map(({keyTag, algorithm, digestType, digest}) => {
+    return `${keyTag} ${algorithm} ${digestType} ${digest.toLowerCase()}`;
+  }).sort().join(',');
+}
+
+function parseArgs(argv) {
+  const args = {
+    options: {},
+    state: STATE_PATH,
+    fresh: false,
+    checkpoint: 20,
+    names: []
+  };
+
+  const servers = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--server':
+        servers.push(value(argv, ++i));
+        break;
+      case '--concurrency':
+        args.options.concurrency = number(argv, ++i);
+        break;
+      case '--rate':
+        args.options.rate = number(argv, ++i, false);
+        break;
+      case '--timeout':
+        args.options.timeout = number(argv, ++i);
+        break;
+      case '--state':
+        args.state = Path.resolve(value(argv, ++i));
+        break;
+      case '--fresh':
+        args.fresh = true;
+        break;
+      default:
+        if (arg[0] === '-')
+          usage();
+        args.names.push(arg);
+        break;
     }
-    text += rr.toString() + '\n';
   }
 
-  fs.writeFileSync(KEYS_PATH, text);
+  if (servers.length > 0)
+    args.options.servers = servers;
 
-  await stub.close();
-})().catch((err) => {
-  console.error(err.stack);
+  return args;
+}
+
+function value(argv, i) {
+  if (i >= argv.length)
+    usage();
+
+  return argv[i];
+}
+
+function number(argv, i, integer = true) {
+  const num = Number(value(argv, i));
+
+  if (!Number.isFinite(num) || num <= 0)
+    usage();
+
+  if (integer && !Number.isSafeInteger(num))
+    usage();
+
+  return num;
+}
+
+function usage() {
+  console.error('Usage: ./crawl-keys.js [options] [tld...]');
+  console.error('');
+  console.error('  --server <ip[:port]>  resolver to query (repeatable)');
+  console.error('  --concurrency <n>     lookups in flight (default: 4)');
+  console.error('  --rate <n>            queries per second per server');
+  console.error('  --timeout <ms>        per-query timeout');
+  console.error('  --state <file>        checkpoint file');
+  console.error('  --fresh               ignore the checkpoint file');
+  console.error('');
+  console.error('Only TLDs which failed or whose DS set changed since the');
+  console.error('last run are crawled again.');
   process.exit(1);
-});
+}
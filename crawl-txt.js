@@ -4,81 +4,244 @@
 
 const Path = require('path');
 const fs = require('bfile');
-const constants = require('bns/lib/constants');
-const StubResolver = require('bns/lib/resolver/stub');
+const wire = require('bns/lib/wire');
+const {Crawler} = require('./lib/crawler');
+const txt = require('./lib/txt');
 const root = require('./build/root.json');
-const {types} = constants;
+const {types} = wire;
 
 const TXT_PATH = Path.resolve(__dirname, 'build', 'txt.zone');
+const JSON_PATH = Path.resolve(__dirname, 'build', 'txt.json');
 
+const args = parseArgs(process.argv.slice(2));
 const names = Object.keys(root).sort();
 
-const stub = new StubResolver({
-  rd: true,
-  cd: true,
-  edns: true,
-  ednsSize: 4096,
-  dnssec: true,
-  maxAttempts: 10,
-  maxTimeout: 3000,
-  hosts: [
-    ['localhost.', '127.0.0.1'],
-    ['localhost.', '::1']
-  ],
-  servers: ['8.8.8.8', '8.8.4.4']
-});
-
-const records = [];
+const records = new Map();
+const failed = [];
 
 (async () => {
-  await stub.open();
+  if (args.reclassify) {
+    readZone();
+    writeJSON();
+    return;
+  }
 
-  for (const name of names) {
+  const crawler = new Crawler(args.options);
+
+  await crawler.open();
+
+  await crawler.each(names, async (name) => {
     console.log(`Crawling ${name}..`);
 
     let res;
 
     try {
-      res = await stub.lookup(name, types.TXT);
+      res = await crawler.lookup(name, types.TXT);
     } catch (e) {
       console.log(`Could not lookup: ${name}`);
-      continue;
+      failed.push(name);
+      return;
     }
 
-    let saw = false;
+    const answer = res.answer.filter(rr => rr.type === types.TXT);
 
-    for (const rr of res.answer) {
-      if (rr.type !== types.TXT)
-        continue;
+    if (answer.length > 0) {
+      console.log('TXT record found for: %s', name);
+      records.set(name, answer);
+    }
+  });
 
-      if (!saw) {
-        console.log('TXT record found for: %s', name);
-        saw = true;
-      }
+  await crawler.close();
 
-      records.push(rr);
-    }
+  writeZone();
+  writeJSON();
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
 
-    if (saw)
-      records.push(null);
+function readZone() {
+  const text = fs.readFileSync(TXT_PATH, 'utf8');
 
-    await new Promise(r => setTimeout(r, 500));
+  for (const rr of wire.fromZone(text)) {
+    const name = rr.name.toLowerCase();
+
+    if (!records.has(name))
+      records.set(name, []);
+
+    records.get(name).push(rr);
   }
+}
 
+function writeZone() {
   let text = '';
 
-  for (const rr of records) {
-    if (!rr) {
-      text += '\n';
+  for (const name of names) {
+    const answer = records.get(name);
+
+    if (!answer)
       continue;
-    }
-    text += rr.toString() + '\n';
+
+    for (const rr of answer)
+      text += rr.toString() + '\n';
+
+    text += '\n';
   }
 
   fs.writeFileSync(TXT_PATH, text);
+}
 
-  await stub.close();
-})().catch((err) => {
-  console.error(err.stack);
+function writeJSON() {
+  const results = [];
+
+  for (const name of names) {
+    const answer = records.get(name);
+
+    if (answer)
+      results.push(answer.map(rr => rr.data.txt));
+    else
+      results.push(null);
+  }
+
+  // When reclassifying an old crawl, the newest
+  // timestamp stands in for the time of the crawl.
+  let now = args.now;
+
+  if (now == null && args.reclassify) {
+    now = 0;
+
+    for (const strings of results) {
+      for (const item of (strings || []).map(txt.classify)) {
+        if (item.time != null && item.time > now)
+          now = item.time;
+      }
+    }
+  }
+
+  if (now == null)
+    now = Math.floor(Date.now() / 1000);
+
+  const tlds = Object.create(null);
+  const summary = {
+    tlds: 0,
+    timestamped: 0,
+    stale: 0,
+    collision: 0,
+    failed: failed.length,
+    kinds: Object.create(null)
+  };
+
+  for (let i = 0; i < names.length; i++) {
+    if (!results[i])
+      continue;
+
+    const result = txt.analyze(names[i], results[i], {
+      now,
+      stale: args.stale
+    });
+
+    summary.tlds += 1;
+
+    if (result.updated != null)
+      summary.timestamped += 1;
+
+    if (result.stale)
+      summary.stale += 1;
+
+    if (result.collision)
+      summary.collision += 1;
+
+    for (const {kind} of result.records)
+      summary.kinds[kind] = (summary.kinds[kind] || 0) + 1;
+
+    tlds[result.name] = result;
+  }
+
+  const json = {
+    time: now,
+    summary,
+    failed: failed.sort(),
+    tlds
+  };
+
+  fs.writeFileSync(JSON_PATH, JSON.stringify(json, null, 2) + '\n');
+}
+
+function parseArgs(argv) {
+  const args = {
+    options: {},
+    reclassify: false,
+    now: null,
+    stale: null
+  };
+
+  const servers = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--server':
+        servers.push(value(argv, ++i));
+        break;
+      case '--concurrency':
+        args.options.concurrency = number(argv, ++i);
+        break;
+      case '--rate':
+        args.options.rate = number(argv, ++i, false);
+        break;
+      case '--timeout':
+        args.options.timeout = number(argv, ++i);
+        break;
+      case '--reclassify':
+        args.reclassify = true;
+        break;
+      case '--time':
+        args.now = number(argv, ++i);
+        break;
+      case '--stale-days':
+        args.stale = Math.floor(number(argv, ++i, false) * 24 * 60 * 60);
+        break;
+      default:
+        usage();
+        break;
+    }
+  }
+
+  if (servers.length > 0)
+    args.options.servers = servers;
+
+  return args;
+}
+
+function value(argv, i) {
+  if (i >= argv.length)
+    usage();
+
+  return argv[i];
+}
+
+function number(argv, i, integer = true) {
+  const num = Number(value(argv, i));
+
+  if (!Number.isFinite(num) || num <= 0)
+    usage();
+
+  if (integer && !Number.isSafeInteger(num))
+    usage();
+
+  return num;
+}
+
+function usage() {
+  console.error('Usage: ./crawl-txt.js [options]');
+  console.error('');
+  console.error('  --server <ip[:port]>  resolver to query (repeatable)');
+  console.error('  --concurrency <n>     lookups in flight (default: 4)');
+  console.error('  --rate <n>            queries per second per server');
+  console.error('  --timeout <ms>        per-query timeout');
+  console.error('  --stale-days <n>      age at which a zone is stale');
+  console.error('  --reclassify          rebuild txt.json from txt.zone');
+  console.error('  --time <unix>         reference time for staleness');
   process.exit(1);
-});
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const SHA256 = require('bcrypto/lib/sha256');
+const dictionary = require('./lib/dictionary');
+const Policy = require('./lib/policy');
+
+const {DIRECTORY} = dictionary;
+const INDEX_PATH = Path.resolve(DIRECTORY, 'index.json');
+
+const USAGE = `Usage: ./dictionary.js [--json]
+       ./dictionary.js add <lang> <file> --name <name> --version <version>
+                           [--source <source>]
+
+List the vendored word lists (checking each against
+names/dictionaries/index.json), or vendor a new version
+of one from a plain word list, one word per line.`;
+
+const args = process.argv.slice(2);
+
+if (args[0] === 'add')
+  add(args.slice(1));
+else if (args.length === 0 || (args.length === 1 && args[0] === '--json'))
+  list(args[0] === '--json');
+else
+  usage();
+
+function list(json) {
+  const dicts = dictionary.load();
+  const policy = new Policy();
+  const out = {};
+
+  for (const lang of dicts.languages()) {
+    out[lang] = dicts.get(lang).toJSON();
+    out[lang].threshold = policy.dictionaries.get(lang) || null;
+  }
+
+  if (json) {
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+
+  for (const lang of Object.keys(out)) {
+    const {name, version, count, threshold} = out[lang];
+
+    console.log('%s: %s %s, %d words, %s.', lang, name, version, count,
+                threshold != null ? `rank > ${threshold}` : 'not in policy');
+  }
+}
+
+function add(args) {
+  const [lang, file] = args;
+  const meta = {};
+
+  for (let i = 2; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+
+    if (!['name', 'version', 'source'].includes(key) || args[i + 1] == null)
+      usage();
+
+    meta[key] = args[i + 1];
+  }
+
+  if (!dictionary.isLanguage(lang) || !file || !meta.name || !meta.version)
+    usage();
+
+  const words = dictionary.parseWords(fs.readFileSync(file, 'utf8'));
+
+  if (words.length === 0)
+    throw new Error(`No usable words in ${file}.`);
+
+  const raw = Buffer.from(JSON.stringify(words, null, 2) + '\n', 'utf8');
+  const index = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+
+  index[lang] = {
+    name: meta.name,
+    version: meta.version,
+    source: meta.source || Path.basename(file),
+    count: words.length,
+    sha256: SHA256.digest(raw).toString('hex')
+  };
+
+  fs.writeFileSync(Path.resolve(DIRECTORY, `${lang}.json`), raw);
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(sortKeys(index), null, 2) + '\n');
+
+  console.log('Wrote %d %s words (%s).', words.length, meta.name, lang);
+}
+
+function sortKeys(obj) {
+  const out = {};
+
+  for (const key of Object.keys(obj).sort())
+    out[key] = obj[key];
+
+  return out;
+}
+
+function usage() {
+  console.error(USAGE);
+  process.exit(1);
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const cp = require('child_process');
+const fs = require('bfile');
+const {diff, format} = require('./lib/diff');
+
+const FILES = {
+  valid: 'valid.json',
+  invalid: 'invalid.json',
+  root: 'root.json',
+  tld: 'tld.json',
+  names: 'names.json',
+  collisions: 'namecollision.json'
+};
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const [from, to = null] = args.filter(arg => arg !== '--json');
+
+if (!from) {
+  console.error('Usage: ./diff.js [--json] <old> [new]');
+  console.error('');
+  console.error('Each side is a build directory or a git revision.');
+  console.error('The new side defaults to ./build.');
+  process.exit(1);
+}
+
+const result = diff(load(from), load(to || Path.resolve(__dirname, 'build')));
+
+if (json)
+  console.log(JSON.stringify(result, null, 2));
+else
+  process.stdout.write(format(result));
+
+function load(source) {
+  const build = Object.create(null);
+  const dir = fs.existsSync(source) && fs.statSync(source).isDirectory();
+
+  if (!dir)
+    checkRevision(source);
+
+  for (const key of Object.keys(FILES)) {
+    const text = dir
+      ? readFile(Path.resolve(source, FILES[key]))
+      : readRevision(source, `build/${FILES[key]}`);
+
+    build[key] = text != null ? JSON.parse(text) : null;
+  }
+
+  return build;
+}
+
+function readFile(file) {
+  if (!fs.existsSync(file))
+    return null;
+
+  return fs.readFileSync(file, 'utf8');
+}
+
+function checkRevision(rev) {
+  const result = cp.spawnSync('git', [
+    'rev-parse',
+    '--verify',
+    `${rev}^{commit}`
+  ], {
+    cwd: __dirname,
+    encoding: 'utf8',
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  if (result.error)
+    throw result.error;
+
+  if (result.status !== 0) {
+    console.error('%s is neither a build directory nor a git revision.', rev);
+    process.stderr.write(result.stderr);
+    process.exit(1);
+  }
+}
+
+function readRevision(rev, file) {
+  // Older revisions may not have every file.
+  const list = git('ls-tree', '--name-only', rev, '--', file);
+
+  if (list.trim() !== file)
+    return null;
+
+  return git('show', `${rev}:${file}`);
+}
+
+function git(...args) {
+  return cp.execFileSync('git', args, {
+    cwd: __dirname,
+    encoding: 'utf8',
+    maxBuffer: 64 << 20,
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const rules = require('./lib/rules');
+const idna = require('./lib/idna');
+const Policy = require('./lib/policy');
+const dictionary = require('./lib/dictionary');
+const names = require('./lib/api');
+
+const BLACKLIST = require('./names/blacklist.json');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const policy = new Policy();
+
+{
+  const i = args.indexOf('--suffixes');
+
+  if (i !== -1) {
+    const [, mode] = args.splice(i, 2);
+
+    if (Policy.SUFFIXES.includes(mode))
+      policy.fromOptions({ suffixes: mode });
+    else
+      args.length = 0;
+  }
+}
+
+const [input, arg] = args.filter(arg => arg !== '--json');
+
+if (!input) {
+  console.error('Usage: ./explain.js [--json] [--suffixes <mode>] '
+              + '<domain> [rank]');
+  process.exit(1);
+}
+
+const domain = input.toLowerCase();
+
+// Collisions are checked against the
+// reserved entries of the current build.
+const table = new Map();
+
+for (const name of Object.keys(names.valid)) {
+  const [tld, rank] = names.valid[name];
+
+  table.set(name, {
+    domain: tld ? `${name}.${tld}` : name,
+    rank
+  });
+}
+
+// Default to the rank the domain had in the
+// current build, if it made it in at all.
+const rank = arg != null ? parseInt(arg, 10) : findRank(domain);
+
+if (!Number.isSafeInteger(rank) || rank < 1) {
+  console.error('Unknown rank for %s, please pass one.', domain);
+  process.exit(1);
+}
+
+if (domain.split('.').length < 2) {
+  console.error('Not a second-level domain: %s.', domain);
+  process.exit(1);
+}
+
+const ctx = {
+  policy,
+  blacklist: new Set(BLACKLIST),
+  dictionaries: dictionary.load(),
+  table
+};
+
+// At another rank, a reserved domain must not be compared
+// against its own entry, but against the domain which
+// would hold the name without it.
+{
+  const item = rules.reduce(domain, rank, ctx);
+  const cache = item.name ? table.get(item.name) : null;
+
+  if (cache && cache.domain === item.domain && cache.rank > 0
+      && cache.rank !== rank) {
+    const next = runnerUp(item.name, item.domain);
+
+    if (next)
+      table.set(item.name, next);
+    else
+      table.delete(item.name);
+  }
+}
+
+const result = rules.explain(domain, rank, ctx);
+
+if (json) {
+  console.log(JSON.stringify(result, null, 2));
+  return;
+}
+
+if (idna.isIDN(result.domain))
+  console.log('%s (%s, %d):', result.domain,
+              idna.toUnicode(result.domain), result.rank);
+else
+  console.log('%s (%d):', result.domain, result.rank);
+
+for (const {rule, passed, detail} of result.trace)
+  console.log('  %s %s %s', rule.padEnd(15), passed ? 'pass' : 'FAIL', detail);
+
+if (result.reserved) {
+  if (result.displaces) {
+    const {domain, rank} = result.displaces;
+    console.log('Reserved as `%s` (displaces %s (%d)).',
+                result.name, domain, rank);
+  } else {
+    console.log('Reserved as `%s`.', result.name);
+  }
+} else if (result.winner) {
+  const {domain, rank} = result.winner;
+  console.log('Rejected: %s with %s (%d) (rule=%s).',
+              result.reason, domain, rank, result.rule);
+} else {
+  console.log('Rejected: %s (rule=%s).', result.reason, result.rule);
+}
+
+function runnerUp(name, domain) {
+  const item = names.lookup(name);
+
+  let best = null;
+
+  // Only collisions passed every other rule.
+  for (const rejected of item.rejected) {
+    if (rejected.reason !== 'collision')
+      continue;
+
+    if (!rejected.winner || rejected.winner.domain !== domain)
+      continue;
+
+    if (!best || rejected.rank < best.rank)
+      best = { domain: rejected.domain, rank: rejected.rank };
+  }
+
+  return best;
+}
+
+function findRank(domain) {
+  const idn = idna.toASCII(domain);
+
+  if (!idn.reason)
+    domain = idn.domain;
+
+  domain = domain.replace(/^(www\.)+/, '');
+
+  const name = domain.split('.')[0];
+  const item = names.lookup(name);
+
+  if (!item)
+    return -1;
+
+  if (item.reserved && item.domain === domain)
+    return item.rank;
+
+  for (const rejected of item.rejected) {
+    if (rejected.domain === domain)
+      return rejected.rank;
+  }
+
+  return -1;
+}
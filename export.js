@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const cp = require('child_process');
+const fs = require('bfile');
+const SHA256 = require('bcrypto/lib/sha256');
+const Policy = require('./lib/policy');
+const exporter = require('./lib/export');
+
+const VALID = require('./build/valid.json');
+const INVALID = require('./build/invalid.json');
+const VALUES = require('./names/values.json');
+
+const FORMATS = ['csv', 'ndjson', 'sqlite'];
+
+const USAGE = `Usage: ./export.js [options]
+
+Export the reserved and rejected names from build/ as
+CSV, NDJSON and SQLite, along with a SHA256SUMS file.
+
+Options:
+  --out <dir>           output directory (default: build/export)
+  --format <list>       comma-separated, any of ${FORMATS.join(', ')}
+                        (default: all)`;
+
+const options = {
+  out: Path.resolve(__dirname, 'build', 'export'),
+  formats: FORMATS
+};
+
+const args = process.argv.slice(2);
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--out':
+      options.out = Path.resolve(args[++i] || usage());
+      break;
+    case '--format':
+      options.formats = (args[++i] || usage()).split(',');
+      if (!options.formats.every(f => FORMATS.includes(f)))
+        usage();
+      break;
+    default:
+      usage(arg === '--help' ? 0 : 1);
+      break;
+  }
+}
+
+const tables = exporter.build(VALID, INVALID, {
+  policy: new Policy(),
+  values: VALUES
+});
+
+const files = [];
+
+fs.mkdirpSync(options.out);
+
+for (const table of Object.keys(exporter.TABLES)) {
+  const rows = tables[table];
+
+  if (options.formats.includes('csv'))
+    write(`${table}.csv`, exporter.toCSV(table, rows));
+
+  if (options.formats.includes('ndjson'))
+    write(`${table}.ndjson`, exporter.toNDJSON(table, rows));
+}
+
+if (options.formats.includes('sqlite')) {
+  const sql = exporter.toSQL(tables);
+  const file = Path.resolve(options.out, 'names.sqlite');
+
+  write('names.sql', sql);
+
+  // Built from scratch every time. The same script and
+  // sqlite3 version always produce the same file.
+  if (fs.existsSync(file))
+    fs.unlinkSync(file);
+
+  const result = cp.spawnSync('sqlite3', ['-bail', file], {
+    input: sql,
+    stdio: ['pipe', 'inherit', 'inherit']
+  });
+
+  if (result.error || result.status !== 0) {
+    console.error('Could not run sqlite3 (%s).',
+                  result.error ? result.error.code : `exit ${result.status}`);
+    console.error('Install it, or pass --format csv,ndjson.');
+    process.exit(1);
+  }
+
+  files.push('names.sqlite');
+}
+
+const sqlite = files.includes('names.sqlite');
+
+// For release notes.
+const sums = files.sort().map((name) => {
+  const data = fs.readFileSync(Path.resolve(options.out, name));
+  return `${SHA256.digest(data).toString('hex')}  ${name}`;
+});
+
+write('SHA256SUMS', sums.join('\n') + '\n');
+
+for (const line of sums)
+  console.log(line);
+
+// Everything else only depends on the build.
+if (sqlite) {
+  console.log('');
+  console.log('Note: names.sqlite was built with the local sqlite3 (%s)',
+              sqliteVersion());
+  console.log('and only matches a build made with the same version.');
+  console.log('Compare names.sql instead.');
+}
+
+function write(name, data) {
+  fs.writeFileSync(Path.resolve(options.out, name), data);
+  files.push(name);
+}
+
+function sqliteVersion() {
+  const result = cp.spawnSync('sqlite3', ['-version'], { encoding: 'utf8' });
+
+  if (result.error || result.status !== 0)
+    return 'unknown version';
+
+  return result.stdout.split(' ')[0];
+}
+
+function usage(code = 1) {
+  console.error(USAGE);
+  process.exit(code);
+}
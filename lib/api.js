@@ -0,0 +1,176 @@
+'use strict';
+
+const assert = require('assert');
+const valid = require('../build/valid.json');
+const invalid = require('../build/invalid.json');
+const collisions = require('../build/namecollision.json');
+const trademarks = require('../build/trademarks.json');
+const {Rewards} = require('./rewards');
+const idna = require('./idna');
+const {Confusables} = require('./confusables');
+const values = require('../names/values.json');
+
+/*
+ * Categories
+ */
+
+const categories = {
+  NAMING_PROJECT: 'naming-project',
+  TRADEMARK: 'trademark',
+  ROOT: 'root',
+  ALEXA: 'alexa'
+};
+
+/*
+ * Indexes
+ */
+
+const reserved = new Map();
+const rejected = new Map();
+
+let rewards = null;
+let confusables = null;
+
+for (const name of Object.keys(valid)) {
+  const [tld, rank, collisions, unicode] = valid[name];
+
+  reserved.set(name, {
+    name,
+    unicode: unicode || null,
+    domain: tld ? `${name}.${tld}` : name,
+    rank,
+    tld,
+    collisions,
+    category: categorize(rank)
+  });
+}
+
+for (const [domain, rank, reason, winner, unicode] of invalid) {
+  const name = domain.split('.')[0];
+
+  if (!rejected.has(name))
+    rejected.set(name, []);
+
+  rejected.get(name).push({
+    domain,
+    unicode: unicode || null,
+    rank,
+    reason,
+    winner: winner ? { domain: winner[0], rank: winner[1] } : null
+  });
+}
+
+/*
+ * API
+ */
+
+function lookup(name) {
+  name = normalize(name);
+
+  const item = reserved.get(name);
+  const items = rejected.get(name);
+
+  if (!item && !items)
+    return null;
+
+  return {
+    name,
+    unicode: idna.isIDN(name) ? idna.toUnicode(name) : null,
+    reserved: item != null,
+    domain: item ? item.domain : null,
+    rank: item ? item.rank : null,
+    tld: item ? item.tld : null,
+    collisions: item ? item.collisions : 0,
+    category: item ? item.category : null,
+    nameCollision: hasNameCollision(name),
+    trademark: getTrademark(name),
+    rejected: items ? items.slice() : []
+  };
+}
+
+function isReserved(name) {
+  return reserved.has(normalize(name));
+}
+
+function hasNameCollision(name) {
+  name = normalize(name);
+  return Object.prototype.hasOwnProperty.call(collisions.tlds, name);
+}
+
+function getTrademark(name) {
+  name = normalize(name);
+
+  if (!Object.prototype.hasOwnProperty.call(trademarks, name))
+    return null;
+
+  const {domain, address, subdomain} = trademarks[name];
+
+  return { domain, address, subdomain };
+}
+
+function reward(name) {
+  // Built on first use.
+  if (!rewards)
+    rewards = Rewards.fromValid(valid, { values });
+
+  return rewards.get(normalize(name));
+}
+
+function confusablesOf(name) {
+  assert(typeof name === 'string');
+
+  // Built on first use.
+  if (!confusables)
+    confusables = Confusables.fromValid(valid);
+
+  return confusables.confusablesOf(name);
+}
+
+/*
+ * Helpers
+ */
+
+function categorize(rank) {
+  if (rank === -2)
+    return categories.NAMING_PROJECT;
+
+  if (rank === -1)
+    return categories.TRADEMARK;
+
+  if (rank === 0)
+    return categories.ROOT;
+
+  return categories.ALEXA;
+}
+
+function normalize(name) {
+  assert(typeof name === 'string');
+
+  name = name.toLowerCase();
+
+  if (name.length > 0 && name[name.length - 1] === '.')
+    name = name.slice(0, -1);
+
+  // Accept U-labels as well.
+  const idn = idna.toASCII(name);
+
+  if (!idn.reason)
+    name = idn.domain;
+
+  return name;
+}
+
+/*
+ * Expose
+ */
+
+exports.categories = categories;
+exports.valid = valid;
+exports.invalid = invalid;
+exports.trademarks = trademarks;
+exports.lookup = lookup;
+exports.isReserved = isReserved;
+exports.hasNameCollision = hasNameCollision;
+exports.getTrademark = getTrademark;
+exports.reward = reward;
+exports.confusablesOf = confusablesOf;
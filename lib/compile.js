@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert');
+const rules = require('./rules');
+const Policy = require('./policy');
+
+/**
+ * Compile the reserved name set from in-memory
+ * inputs. Nothing is read from or written to disk
+ * (except the vendored Public Suffix List, when the
+ * policy uses it). Entries carry the suffix rule
+ * which matched, or null under the legacy rules.
+ * @param {Object} inputs
+ * @param {String[]} inputs.blacklist
+ * @param {Array[]} inputs.custom - [name, domain]
+ * @param {Array[]} inputs.trademarks - [name, domain, ...]
+ * @param {String[]} inputs.rtld
+ * @param {Iterable<String>} inputs.ranking - domains, ordered
+ * by rank (an array, or a Ranking from lib/ranking.js)
+ * @param {Dictionaries} inputs.dictionaries - see lib/dictionary.js
+ * @param {PublicSuffixList?} inputs.psl - see lib/psl.js
+ * @param {Policy|Object?} policy
+ * @returns {Object} {valid, invalid, top100}
+ */
+
+function compile(inputs, policy) {
+  assert(inputs && typeof inputs === 'object');
+  assert(inputs.ranking && inputs.ranking[Symbol.iterator]);
+  assert(inputs.dictionaries);
+
+  if (!(policy instanceof Policy))
+    policy = new Policy(policy);
+
+  const blacklist = new Set(inputs.blacklist);
+  const ctx = {
+    policy,
+    blacklist,
+    dictionaries: inputs.dictionaries,
+    psl: inputs.psl || null
+  };
+  const table = new Map();
+  const valid = [];
+  const invalid = [];
+
+  let top100 = 0;
+
+  const invalidate = (domain, rank, reason, winner = null, suffix = null) => {
+    const name = domain;
+
+    invalid.push({
+      domain,
+      rank,
+      name,
+      reason,
+      winner,
+      suffix
+    });
+  };
+
+  const insert = (domain, rank, name, tld, suffix = null) => {
+    // Ignore blacklist.
+    if (blacklist.has(name)) {
+      invalidate(domain, rank, 'blacklist', null, suffix);
+      return;
+    }
+
+    // Check for collisions.
+    const cache = table.get(name);
+
+    if (cache) {
+      invalidate(domain, rank, rules.conflict(cache), cache, suffix);
+
+      cache.collisions += 1;
+
+      return;
+    }
+
+    const item = {
+      domain,
+      rank,
+      name,
+      tld,
+      suffix,
+      collisions: 0
+    };
+
+    if (policy.isTop100(domain, rank))
+      top100 += 1;
+
+    table.set(name, item);
+    valid.push(item);
+  };
+
+  // Custom TLDs (these are domains
+  // for existing naming projects).
+  for (const [name, domain] of inputs.custom) {
+    const tld = domain.split('.').slice(1).join('.');
+
+    assert(!blacklist.has(name));
+
+    insert(domain, -2, name, tld);
+  }
+
+  // Trademarked TLDs (these are domains
+  // who submitted a trademark claim).
+  for (const [name, domain] of inputs.trademarks) {
+    const tld = domain.split('.').slice(1).join('.');
+
+    assert(!blacklist.has(name));
+
+    insert(domain, -1, name, tld);
+  }
+
+  // Root TLDs.
+  for (const name of inputs.rtld)
+    insert(name, 0, name, '');
+
+  let rank = 0;
+
+  // Top ranked second-level domains. The
+  // ranking is only read up to the cutoff.
+  for (const entry of inputs.ranking) {
+    if (rank === policy.cutoff)
+      break;
+
+    rank += 1;
+
+    const {domain, name, tld, suffix, reason} =
+      rules.reduce(entry, rank, ctx);
+
+    if (reason) {
+      invalidate(domain, rank, reason, null, suffix);
+      continue;
+    }
+
+    insert(domain, rank, name, tld, suffix);
+  }
+
+  if (rank !== policy.cutoff) {
+    throw new Error(`Ranking has only ${rank} entries,`
+      + ` cutoff is ${policy.cutoff}.`);
+  }
+
+  return { valid, invalid, top100 };
+}
+
+/*
+ * Expose
+ */
+
+module.exports = compile;
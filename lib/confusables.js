@@ -0,0 +1,243 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const Path = require('path');
+const url = require('url');
+const idna = require('./idna');
+
+/*
+ * Constants
+ */
+
+// Unicode confusables (UTS #39), mapping
+// characters to the prototype they look like.
+const DATA = Path.resolve(__dirname, '..', 'data', 'confusables.txt');
+
+let table = null;
+
+/**
+ * Parse confusables.txt.
+ * @param {String} text
+ * @returns {Map} character -> prototype
+ */
+
+function parse(text) {
+  assert(typeof text === 'string');
+
+  const map = new Map();
+
+  for (const line of text.split('\n')) {
+    const data = line.replace(/#.*$/, '').trim();
+
+    if (data.length === 0)
+      continue;
+
+    const [source, target] = data.split(';').map(field => field.trim());
+
+    if (!source || !target)
+      throw new Error(`Invalid confusables line: ${line}.`);
+
+    map.set(fromHex(source), fromHex(target));
+  }
+
+  return map;
+}
+
+/**
+ * Load data/confusables.txt (cached).
+ * @returns {Map}
+ */
+
+function load() {
+  if (!table)
+    table = parse(fs.readFileSync(DATA, 'utf8'));
+
+  return table;
+}
+
+/**
+ * Compute the confusable skeleton of a name (UTS #39,
+ * section 4). Names with the same skeleton are likely
+ * to be mistaken for each other. A-labels are decoded
+ * first.
+ * @param {String} name
+ * @returns {String}
+ */
+
+function skeleton(name) {
+  assert(typeof name === 'string');
+
+  const map = load();
+
+  let str = name.toLowerCase().split('.').map(decode).join('.');
+
+  // Drop Latin, Greek and Cyrillic diacritics as well,
+  // so that accented forms match. Marks in other scripts
+  // are letters in their own right and are kept.
+  str = str.normalize('NFD');
+  str = str.replace(/[\u0300-\u036f]/g, '');
+
+  let out = '';
+
+  for (const ch of str)
+    out += map.has(ch) ? map.get(ch) : ch;
+
+  // Some prototypes are capitals (`0` maps to `O`),
+  // but names are compared case-insensitively.
+  return out.normalize('NFD').toLowerCase();
+}
+
+/**
+ * Confusables
+ *
+ * Reserved names grouped by skeleton.
+ */
+
+class Confusables {
+  constructor() {
+    this.map = new Map();
+    this.names = new Set();
+  }
+
+  /**
+   * Add a reserved name.
+   * @param {Object} entry - {name, domain, rank}
+   */
+
+  add(entry) {
+    assert(entry && typeof entry.name === 'string');
+
+    if (this.names.has(entry.name))
+      return this;
+
+    const key = skeleton(entry.name);
+
+    if (!this.map.has(key))
+      this.map.set(key, []);
+
+    this.map.get(key).push({
+      name: entry.name,
+      unicode: idna.isIDN(entry.name) ? idna.toUnicode(entry.name) : null,
+      domain: entry.domain,
+      rank: entry.rank
+    });
+
+    this.names.add(entry.name);
+
+    return this;
+  }
+
+  /**
+   * Build from build/valid.json and names/rtld.json.
+   * @param {Object} valid
+   * @param {String[]?} rtld
+   * @returns {Confusables}
+   */
+
+  static fromValid(valid, rtld = []) {
+    assert(valid && typeof valid === 'object');
+    assert(Array.isArray(rtld));
+
+    const index = new this();
+
+    for (const name of Object.keys(valid)) {
+      const [tld, rank] = valid[name];
+      const domain = tld ? `${name}.${tld}` : name;
+
+      index.add({ name, domain, rank });
+    }
+
+    // Root TLDs are reserved anyway, but may
+    // be missing from an older valid.json.
+    for (const name of rtld)
+      index.add({ name, domain: name, rank: 0 });
+
+    return index;
+  }
+
+  /**
+   * List the reserved names a name could be mistaken
+   * for (not including the name itself).
+   * @param {String} name - A-label or U-label
+   * @returns {Object[]}
+   */
+
+  confusablesOf(name) {
+    assert(typeof name === 'string');
+
+    name = name.toLowerCase();
+
+    const idn = idna.toASCII(name);
+    const ascii = idn.reason ? name : idn.domain;
+    const items = this.map.get(skeleton(name)) || [];
+
+    return sortRank(items.filter(item => item.name !== ascii));
+  }
+
+  /**
+   * List every group of two or more confusable names.
+   * @returns {Object[]} [{skeleton, names}]
+   */
+
+  clusters() {
+    const out = [];
+
+    for (const key of [...this.map.keys()].sort()) {
+      const items = this.map.get(key);
+
+      if (items.length < 2)
+        continue;
+
+      out.push({ skeleton: key, names: sortRank(items) });
+    }
+
+    return out;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+// Not idna.toUnicode, which leaves mixed-script A-labels
+// (the very names we are after) encoded. Labels are decoded
+// one at a time, as url.domainToUnicode would otherwise read
+// names like `101` as IPv4 addresses.
+function decode(label) {
+  if (!label.startsWith('xn--'))
+    return label;
+
+  return url.domainToUnicode(label) || label;
+}
+
+function fromHex(field) {
+  return field.split(/\s+/).map((hex) => {
+    return String.fromCodePoint(parseInt(hex, 16));
+  }).join('');
+}
+
+function sortRank(items) {
+  return items.slice().sort((a, b) => {
+    if (a.rank !== b.rank)
+      return a.rank - b.rank;
+
+    if (a.name < b.name)
+      return -1;
+
+    if (a.name > b.name)
+      return 1;
+
+    return 0;
+  });
+}
+
+/*
+ * Expose
+ */
+
+exports.DATA = DATA;
+exports.parse = parse;
+exports.load = load;
+exports.skeleton = skeleton;
+exports.Confusables = Confusables;
@@ -0,0 +1,300 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('bfile');
+const StubResolver = require('bns/lib/resolver/stub');
+const wire = require('bns/lib/wire');
+const {codes} = wire;
+
+/*
+ * Constants
+ */
+
+const DEFAULT_SERVERS = ['8.8.8.8', '8.8.4.4'];
+
+/**
+ * Crawler
+ * Runs lookups against a set of resolvers with
+ * bounded concurrency and a per-server rate limit.
+ */
+
+class Crawler {
+  constructor(options) {
+    this.servers = DEFAULT_SERVERS.slice();
+    this.concurrency = 4;
+    this.rate = 2;
+    this.attempts = 3;
+    this.timeout = 3000;
+    this.stubs = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object');
+
+    if (options.servers != null) {
+      assert(Array.isArray(options.servers));
+      assert(options.servers.length > 0);
+      this.servers = options.servers.slice();
+    }
+
+    if (options.concurrency != null) {
+      assert((options.concurrency >>> 0) === options.concurrency);
+      assert(options.concurrency > 0);
+      this.concurrency = options.concurrency;
+    }
+
+    if (options.rate != null) {
+      assert(typeof options.rate === 'number');
+      assert(options.rate > 0);
+      this.rate = options.rate;
+    }
+
+    if (options.attempts != null) {
+      assert((options.attempts >>> 0) === options.attempts);
+      assert(options.attempts > 0);
+      this.attempts = options.attempts;
+    }
+
+    if (options.timeout != null) {
+      assert((options.timeout >>> 0) === options.timeout);
+      this.timeout = options.timeout;
+    }
+
+    return this;
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  async open() {
+    assert(this.stubs.length === 0);
+
+    // One stub per server, so each
+    // can be rate limited on its own.
+    for (const server of this.servers) {
+      const stub = new StubResolver({
+        rd: true,
+        cd: true,
+        edns: true,
+        ednsSize: 4096,
+        dnssec: true,
+        maxAttempts: 2,
+        maxTimeout: this.timeout,
+        hosts: [
+          ['localhost.', '127.0.0.1'],
+          ['localhost.', '::1']
+        ],
+        servers: [server]
+      });
+
+      await stub.open();
+
+      this.stubs.push({ server, stub, next: 0 });
+    }
+  }
+
+  async close() {
+    for (const {stub} of this.stubs)
+      await stub.close();
+
+    this.stubs.length = 0;
+  }
+
+  async acquire(skip) {
+    const interval = 1000 / this.rate;
+
+    let item = null;
+
+    for (const stub of this.stubs) {
+      if (stub === skip && this.stubs.length > 1)
+        continue;
+
+      if (!item || stub.next < item.next)
+        item = stub;
+    }
+
+    const now = Date.now();
+    const delay = Math.max(0, item.next - now);
+
+    item.next = Math.max(now, item.next) + interval;
+
+    if (delay > 0)
+      await sleep(delay);
+
+    return item;
+  }
+
+  /**
+   * Look up a name, retrying on other servers.
+   * Server failures count as errors, negative
+   * answers do not.
+   * @param {String} name
+   * @param {Number} type
+   * @returns {Promise<Message>}
+   */
+
+  async lookup(name, type) {
+    let last = null;
+    let error = null;
+
+    for (let i = 0; i < this.attempts; i++) {
+      const item = await this.acquire(last);
+
+      last = item;
+
+      try {
+        const res = await item.stub.lookup(name, type);
+
+        if (res.code === codes.SERVFAIL || res.code === codes.REFUSED)
+          throw new Error(`${wire.codeToString(res.code)} from ${item.server}`);
+
+        return res;
+      } catch (e) {
+        error = e;
+      }
+    }
+
+    throw error;
+  }
+
+  /**
+   * Run `fn` over a list of names, at most
+   * `concurrency` at a time.
+   * @param {String[]} names
+   * @param {Function} fn - async (name) => void
+   * @returns {Promise}
+   */
+
+  async each(names, fn) {
+    assert(Array.isArray(names));
+    assert(typeof fn === 'function');
+
+    let i = 0;
+
+    const worker = async () => {
+      while (i < names.length)
+        await fn(names[i++]);
+    };
+
+    const jobs = [];
+
+    for (let j = 0; j < this.concurrency; j++)
+      jobs.push(worker());
+
+    await Promise.all(jobs);
+  }
+}
+
+/**
+ * CrawlState
+ * Per-name crawl results, checkpointed to disk so
+ * an interrupted crawl can be resumed.
+ */
+
+class CrawlState {
+  constructor() {
+    this.map = new Map();
+  }
+
+  get(name) {
+    return this.map.get(name) || null;
+  }
+
+  /**
+   * Record the result for a name.
+   * @param {String} name
+   * @param {String} key - identifies the inputs of the crawl
+   * @param {Error|null} error
+   * @param {Object?} data
+   */
+
+  set(name, key, error, data = null) {
+    assert(typeof name === 'string');
+    assert(typeof key === 'string');
+
+    this.map.set(name, {
+      key,
+      time: Math.floor(Date.now() / 1000),
+      error: error ? String(error.message) : null,
+      data
+    });
+  }
+
+  /**
+   * Whether a name must be (re)crawled: it has
+   * never been crawled, failed last time, or its
+   * inputs changed since.
+   * @param {String} name
+   * @param {String} key
+   * @returns {Boolean}
+   */
+
+  needs(name, key) {
+    const entry = this.get(name);
+
+    if (!entry)
+      return true;
+
+    return entry.error != null || entry.key !== key;
+  }
+
+  toJSON() {
+    const names = Object.create(null);
+
+    for (const name of [...this.map.keys()].sort())
+      names[name] = this.map.get(name);
+
+    return { version: 0, names };
+  }
+
+  fromJSON(json) {
+    assert(json && typeof json === 'object');
+    assert(json.version === 0, 'Unknown crawl state version.');
+
+    for (const name of Object.keys(json.names))
+      this.map.set(name, json.names[name]);
+
+    return this;
+  }
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  static fromFile(file) {
+    if (!fs.existsSync(file))
+      return new this();
+
+    return this.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  toFile(file) {
+    const tmp = `${file}.tmp`;
+    const json = JSON.stringify(this.toJSON(), null, 2) + '\n';
+
+    // Write atomically so a crash
+    // never leaves a torn state file.
+    fs.writeFileSync(tmp, json);
+    fs.renameSync(tmp, file);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/*
+ * Expose
+ */
+
+exports.DEFAULT_SERVERS = DEFAULT_SERVERS;
+exports.Crawler = Crawler;
+exports.CrawlState = CrawlState;
@@ -0,0 +1,215 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const Path = require('path');
+const SHA256 = require('bcrypto/lib/sha256');
+const util = require('../util');
+const idna = require('./idna');
+
+/*
+ * Constants
+ */
+
+// Vendored word lists, one `<lang>.json` per language,
+// described by `index.json`.
+const DIRECTORY = Path.resolve(__dirname, '..', 'names', 'dictionaries');
+
+/**
+ * Dictionary
+ *
+ * Words of a single language which
+ * are valid HNS names.
+ */
+
+class Dictionary {
+  constructor(lang, words, meta = {}) {
+    assert(isLanguage(lang));
+    assert(Array.isArray(words) || words instanceof Set);
+
+    this.lang = lang;
+    this.name = meta.name || lang;
+    this.version = meta.version || null;
+    this.source = meta.source || null;
+    this.words = new Set(words);
+  }
+
+  has(word) {
+    return this.words.has(word);
+  }
+
+  get size() {
+    return this.words.size;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      version: this.version,
+      source: this.source,
+      count: this.words.size
+    };
+  }
+}
+
+/**
+ * Dictionaries
+ *
+ * Word lists by language code.
+ */
+
+class Dictionaries {
+  constructor() {
+    this.map = new Map();
+  }
+
+  add(dict) {
+    assert(dict instanceof Dictionary);
+    assert(!this.map.has(dict.lang));
+    this.map.set(dict.lang, dict);
+    return this;
+  }
+
+  get(lang) {
+    return this.map.get(lang) || null;
+  }
+
+  languages() {
+    return [...this.map.keys()].sort();
+  }
+
+  /**
+   * Test whether a word is in a language.
+   * @param {String} lang
+   * @param {String} word
+   * @returns {Boolean}
+   */
+
+  has(lang, word) {
+    const dict = this.map.get(lang);
+    return dict ? dict.has(word) : false;
+  }
+
+  /**
+   * List the languages a word belongs to.
+   * @param {String} word
+   * @returns {String[]}
+   */
+
+  languagesOf(word) {
+    return this.languages().filter(lang => this.has(lang, word));
+  }
+
+  /**
+   * Build from in-memory word lists.
+   * @param {Object} lists - language -> words
+   * @returns {Dictionaries}
+   */
+
+  static fromWords(lists) {
+    assert(lists && typeof lists === 'object');
+
+    const dicts = new this();
+
+    for (const lang of Object.keys(lists))
+      dicts.add(new Dictionary(lang, lists[lang]));
+
+    return dicts;
+  }
+
+  /**
+   * Load a directory of vendored word lists, checking
+   * each one against the hash and count in index.json.
+   * @param {String?} dir
+   * @returns {Dictionaries}
+   */
+
+  static fromDirectory(dir = DIRECTORY) {
+    const index = readJSON(Path.resolve(dir, 'index.json'));
+    const dicts = new this();
+
+    for (const lang of Object.keys(index)) {
+      const meta = index[lang];
+      const file = Path.resolve(dir, `${lang}.json`);
+      const raw = fs.readFileSync(file);
+      const hash = SHA256.digest(raw).toString('hex');
+
+      if (hash !== meta.sha256)
+        throw new Error(`Dictionary ${lang}: hash mismatch (${hash}).`);
+
+      const words = JSON.parse(raw.toString('utf8'));
+
+      if (words.length !== meta.count)
+        throw new Error(`Dictionary ${lang}: expected ${meta.count} words.`);
+
+      dicts.add(new Dictionary(lang, words, meta));
+    }
+
+    return dicts;
+  }
+}
+
+let vendored = null;
+
+/**
+ * Load the vendored word lists (cached).
+ * @returns {Dictionaries}
+ */
+
+function load() {
+  if (!vendored)
+    vendored = Dictionaries.fromDirectory(DIRECTORY);
+
+  return vendored;
+}
+
+/**
+ * Turn a plain word list (one word per line) into
+ * the vendored format: unique words which are valid
+ * HNS names once converted to A-labels, sorted.
+ * @param {String} text
+ * @returns {String[]}
+ */
+
+function parseWords(text) {
+  assert(typeof text === 'string');
+
+  const words = new Set();
+
+  for (const line of text.split('\n')) {
+    const word = line.trim().toLowerCase();
+
+    if (word.length === 0 || word.includes('.'))
+      continue;
+
+    const idn = idna.toASCII(word);
+
+    if (!idn.reason && util.isHNS(idn.domain))
+      words.add(idn.domain);
+  }
+
+  return [...words].sort(util.compare);
+}
+
+/*
+ * Helpers
+ */
+
+function isLanguage(lang) {
+  return typeof lang === 'string' && /^[a-z]{2,3}$/.test(lang);
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/*
+ * Expose
+ */
+
+exports.DIRECTORY = DIRECTORY;
+exports.Dictionary = Dictionary;
+exports.Dictionaries = Dictionaries;
+exports.isLanguage = isLanguage;
+exports.load = load;
+exports.parseWords = parseWords;
@@ -0,0 +1,495 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('../util');
+
+/*
+ * Constants
+ */
+
+const ZERO_HASH = Buffer.alloc(32, 0x00).toString('hex');
+
+/*
+ * Diff
+ */
+
+/**
+ * Compare two builds. Each build is an object of
+ * parsed artifacts: {valid, invalid, root, tld, names,
+ * collisions}.
+ * Missing artifacts are skipped.
+ * @param {Object} a - old build
+ * @param {Object} b - new build
+ * @returns {Object}
+ */
+
+function diff(a, b) {
+  assert(a && typeof a === 'object');
+  assert(b && typeof b === 'object');
+
+  return {
+    valid: a.valid && b.valid ? diffValid(a.valid, b.valid) : null,
+    invalid: a.invalid && b.invalid ? diffInvalid(a.invalid, b.invalid) : null,
+    rewards: a.names && b.names ? diffRewards(a.names, b.names) : null,
+    root: a.root && b.root
+      ? diffRoot(a.root, b.root, a.tld, b.tld, a.collisions, b.collisions)
+      : null
+  };
+}
+
+/**
+ * Compare two `valid.json` objects.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+
+function diffValid(a, b) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const name of keys(b)) {
+    if (!has(a, name)) {
+      added.push(validEntry(name, b[name]));
+      continue;
+    }
+
+    const from = validEntry(name, a[name]);
+    const to = validEntry(name, b[name]);
+    const fields = [];
+
+    for (const field of ['domain', 'rank', 'tld', 'collisions']) {
+      if (from[field] !== to[field])
+        fields.push(field);
+    }
+
+    if (fields.length > 0)
+      changed.push({ name, fields, from, to });
+  }
+
+  for (const name of keys(a)) {
+    if (!has(b, name))
+      removed.push(validEntry(name, a[name]));
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare two `invalid.json` arrays.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Object}
+ */
+
+function diffInvalid(a, b) {
+  const before = indexInvalid(a);
+  const after = indexInvalid(b);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [domain, to] of after) {
+    const from = before.get(domain);
+
+    if (!from) {
+      added.push(to);
+      continue;
+    }
+
+    const fields = [];
+
+    if (from.rank !== to.rank)
+      fields.push('rank');
+
+    if (from.reason !== to.reason)
+      fields.push('reason');
+
+    if (winnerOf(from) !== winnerOf(to))
+      fields.push('winner');
+
+    if (fields.length > 0)
+      changed.push({ domain, fields, from, to });
+  }
+
+  for (const [domain, from] of before) {
+    if (!after.has(domain))
+      removed.push(from);
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare two `names.json` objects.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+
+function diffRewards(a, b) {
+  const values = [];
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  const [, ...va] = a[ZERO_HASH] || [];
+  const [, ...vb] = b[ZERO_HASH] || [];
+  const labels = ['name', 'root', 'top100'];
+
+  for (let i = 0; i < labels.length; i++) {
+    if (va[i] !== vb[i])
+      values.push({ value: labels[i], from: va[i], to: vb[i] });
+  }
+
+  for (const hex of keys(b)) {
+    if (hex === ZERO_HASH)
+      continue;
+
+    const to = rewardEntry(hex, b[hex]);
+
+    if (!has(a, hex)) {
+      added.push(to);
+      continue;
+    }
+
+    const from = rewardEntry(hex, a[hex]);
+    const fields = [];
+
+    for (const field of ['target', 'flags', 'custom']) {
+      if (from[field] !== to[field])
+        fields.push(field);
+    }
+
+    if (fields.length > 0)
+      changed.push({ name: to.name, fields, from, to });
+  }
+
+  for (const hex of keys(a)) {
+    if (hex !== ZERO_HASH && !has(b, hex))
+      removed.push(rewardEntry(hex, a[hex]));
+  }
+
+  return { values, added, removed, changed };
+}
+
+/**
+ * Compare two `root.json` objects and, optionally,
+ * the serialized resources in `tld.json`.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object?} ta
+ * @param {Object?} tb
+ * @param {Object?} ca - namecollision.json
+ * @param {Object?} cb - namecollision.json
+ * @returns {Object}
+ */
+
+function diffRoot(a, b, ta = null, tb = null, ca = null, cb = null) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const key of keys(b)) {
+    const name = trimDot(key);
+
+    if (!has(a, key)) {
+      added.push(name);
+      continue;
+    }
+
+    const from = parseZone(a[key], ca, name);
+    const to = parseZone(b[key], cb, name);
+    const item = {
+      name,
+      ttl: null,
+      nameCollision: null,
+      ns: compareSets(from.ns.keys(), to.ns.keys()),
+      glue: [],
+      ds: compareSets(from.ds, to.ds),
+      resource: false
+    };
+
+    if (from.ttl !== to.ttl)
+      item.ttl = { from: from.ttl, to: to.ttl };
+
+    if (from.nameCollision !== to.nameCollision)
+      item.nameCollision = { from: from.nameCollision, to: to.nameCollision };
+
+    for (const [ns, ips] of to.ns) {
+      if (!from.ns.has(ns))
+        continue;
+
+      const prev = from.ns.get(ns);
+
+      if (prev !== ips)
+        item.glue.push({ ns, from: prev, to: ips });
+    }
+
+    if (ta && tb && has(ta, name) && has(tb, name))
+      item.resource = ta[name] !== tb[name];
+
+    if (item.ttl
+        || item.nameCollision
+        || item.ns.added.length || item.ns.removed.length
+        || item.glue.length
+        || item.ds.added.length || item.ds.removed.length
+        || item.resource) {
+      changed.push(item);
+    }
+  }
+
+  for (const key of keys(a)) {
+    if (!has(b, key))
+      removed.push(trimDot(key));
+  }
+
+  return { added, removed, changed };
+}
+
+/*
+ * Formatting
+ */
+
+/**
+ * Render a diff as human-readable text.
+ * @param {Object} result
+ * @returns {String}
+ */
+
+function format(result) {
+  const out = [];
+
+  const section = (title) => {
+    if (out.length > 0)
+      out.push('');
+    out.push(`${title}:`);
+  };
+
+  if (result.valid) {
+    const {added, removed, changed} = result.valid;
+
+    section(`Reserved names (+${added.length} -${removed.length}`
+      + ` ~${changed.length})`);
+
+    for (const {name, domain, rank} of added)
+      out.push(`  + ${name} (${domain}, ${rank})`);
+
+    for (const {name, domain, rank} of removed)
+      out.push(`  - ${name} (${domain}, ${rank})`);
+
+    for (const {name, fields, from, to} of changed) {
+      const parts = fields.map(f => `${f}: ${from[f]} -> ${to[f]}`);
+      out.push(`  ~ ${name} (${parts.join(', ')})`);
+    }
+  }
+
+  if (result.invalid) {
+    const {added, removed, changed} = result.invalid;
+
+    section(`Rejected domains (+${added.length} -${removed.length}`
+      + ` ~${changed.length})`);
+
+    for (const item of added)
+      out.push(`  + ${item.domain} (${item.rank}) ${describeInvalid(item)}`);
+
+    for (const item of removed)
+      out.push(`  - ${item.domain} (${item.rank}) ${describeInvalid(item)}`);
+
+    for (const {domain, from, to} of changed) {
+      out.push(`  ~ ${domain} (${from.rank}) ${describeInvalid(from)}`
+        + ` -> (${to.rank}) ${describeInvalid(to)}`);
+    }
+  }
+
+  if (result.rewards) {
+    const {values, added, removed, changed} = result.rewards;
+
+    section(`Rewards (+${added.length} -${removed.length}`
+      + ` ~${changed.length})`);
+
+    for (const {value, from, to} of values)
+      out.push(`  ~ ${value} value: ${from} -> ${to}`);
+
+    for (const {name, flags} of added)
+      out.push(`  + ${name} (flags=${flags})`);
+
+    for (const {name, flags} of removed)
+      out.push(`  - ${name} (flags=${flags})`);
+
+    for (const {name, fields, from, to} of changed) {
+      const parts = fields.map(f => `${f}: ${from[f]} -> ${to[f]}`);
+      out.push(`  ~ ${name} (${parts.join(', ')})`);
+    }
+  }
+
+  if (result.root) {
+    const {added, removed, changed} = result.root;
+
+    section(`Root zone TLDs (+${added.length} -${removed.length}`
+      + ` ~${changed.length})`);
+
+    for (const name of added)
+      out.push(`  + ${name}`);
+
+    for (const name of removed)
+      out.push(`  - ${name}`);
+
+    for (const item of changed) {
+      out.push(`  ~ ${item.name}`);
+
+      if (item.ttl)
+        out.push(`      ttl: ${item.ttl.from} -> ${item.ttl.to}`);
+
+      if (item.nameCollision) {
+        const {from, to} = item.nameCollision;
+        out.push(`      name collision: ${from} -> ${to}`);
+      }
+
+      for (const ns of item.ns.added)
+        out.push(`      + ns ${ns}`);
+
+      for (const ns of item.ns.removed)
+        out.push(`      - ns ${ns}`);
+
+      for (const {ns, from, to} of item.glue)
+        out.push(`      ~ glue ${ns}: ${from || '-'} -> ${to || '-'}`);
+
+      for (const ds of item.ds.added)
+        out.push(`      + ds ${ds}`);
+
+      for (const ds of item.ds.removed)
+        out.push(`      - ds ${ds}`);
+
+      if (item.resource)
+        out.push('      ~ serialized resource');
+    }
+  }
+
+  out.push('');
+
+  return out.join('\n');
+}
+
+/*
+ * Helpers
+ */
+
+function keys(obj) {
+  return Object.keys(obj).sort(util.compare);
+}
+
+function has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function trimDot(name) {
+  if (name.length > 0 && name[name.length - 1] === '.')
+    return name.slice(0, -1);
+  return name;
+}
+
+function validEntry(name, [tld, rank, collisions]) {
+  return {
+    name,
+    domain: tld ? `${name}.${tld}` : name,
+    rank,
+    tld,
+    collisions
+  };
+}
+
+function indexInvalid(items) {
+  const map = new Map();
+
+  for (const [domain, rank, reason, winner] of items) {
+    map.set(domain, {
+      domain,
+      rank,
+      reason,
+      winner: winner ? { domain: winner[0], rank: winner[1] } : null
+    });
+  }
+
+  return map;
+}
+
+function winnerOf(item) {
+  if (!item.winner)
+    return null;
+
+  return `${item.winner.domain} (${item.winner.rank})`;
+}
+
+function describeInvalid(item) {
+  if (item.winner)
+    return `${item.reason} with ${winnerOf(item)}`;
+  return item.reason;
+}
+
+function rewardEntry(hex, [target, flags, custom = -1]) {
+  return {
+    name: target.slice(0, target.indexOf('.')),
+    hash: hex,
+    target,
+    flags,
+    custom
+  };
+}
+
+function parseZone(json, collisions, name) {
+  const ns = new Map();
+  const ds = new Set();
+
+  for (const str of json.ns) {
+    const index = str.indexOf('@');
+
+    if (index === -1)
+      ns.set(str, null);
+    else
+      ns.set(str.slice(0, index), str.slice(index + 1));
+  }
+
+  for (const rd of json.ds) {
+    const {keyTag, algorithm, digestType, digest} = rd;
+    ds.add(`${keyTag} ${algorithm} ${digestType} ${digest}`);
+  }
+
+  return {
+    ttl: json.ttl,
+    nameCollision: collisions ? has(collisions.tlds, name) : false,
+    ns,
+    ds
+  };
+}
+
+function compareSets(a, b) {
+  const from = new Set(a);
+  const to = new Set(b);
+  const added = [];
+  const removed = [];
+
+  for (const item of to) {
+    if (!from.has(item))
+      added.push(item);
+  }
+
+  for (const item of from) {
+    if (!to.has(item))
+      removed.push(item);
+  }
+
+  return { added, removed };
+}
+
+/*
+ * Expose
+ */
+
+exports.diff = diff;
+exports.diffValid = diffValid;
+exports.diffInvalid = diffInvalid;
+exports.diffRewards = diffRewards;
+exports.diffRoot = diffRoot;
+exports.format = format;
@@ -0,0 +1,301 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('../util');
+const {Rewards} = require('./rewards');
+
+/*
+ * Constants
+ */
+
+// Columns of each table, as [name, SQL type].
+const TABLES = {
+  reserved: [
+    ['name', 'TEXT PRIMARY KEY'],
+    ['domain', 'TEXT NOT NULL'],
+    ['rank', 'INTEGER NOT NULL'],
+    ['tld', 'TEXT'],
+    ['collisions', 'INTEGER NOT NULL'],
+    ['flags', 'INTEGER NOT NULL'],
+    ['reward', 'INTEGER NOT NULL'],
+    ['hash', 'TEXT NOT NULL'],
+    ['unicode', 'TEXT'],
+    ['suffix', 'TEXT']
+  ],
+  rejected: [
+    ['name', 'TEXT NOT NULL'],
+    ['domain', 'TEXT NOT NULL'],
+    ['rank', 'INTEGER NOT NULL'],
+    ['tld', 'TEXT'],
+    ['reason', 'TEXT NOT NULL'],
+    ['winner', 'TEXT'],
+    ['winner_rank', 'INTEGER'],
+    ['hash', 'TEXT NOT NULL'],
+    ['unicode', 'TEXT'],
+    ['suffix', 'TEXT']
+  ],
+  root_tlds: [
+    ['name', 'TEXT PRIMARY KEY'],
+    ['flags', 'INTEGER NOT NULL'],
+    ['reward', 'INTEGER NOT NULL'],
+    ['hash', 'TEXT NOT NULL'],
+    ['unicode', 'TEXT']
+  ],
+  rewards: [
+    ['name', 'TEXT PRIMARY KEY'],
+    ['domain', 'TEXT NOT NULL'],
+    ['rank', 'INTEGER NOT NULL'],
+    ['flags', 'INTEGER NOT NULL'],
+    ['base', 'INTEGER NOT NULL'],
+    ['root', 'INTEGER NOT NULL'],
+    ['top', 'INTEGER NOT NULL'],
+    ['custom', 'INTEGER NOT NULL'],
+    ['embargoed', 'INTEGER NOT NULL'],
+    ['excluded', 'INTEGER NOT NULL'],
+    ['value', 'INTEGER NOT NULL']
+  ]
+};
+
+const INDEXES = [
+  ['reserved', 'domain'],
+  ['reserved', 'rank'],
+  ['reserved', 'hash'],
+  ['rejected', 'name'],
+  ['rejected', 'domain'],
+  ['rejected', 'rank'],
+  ['rejected', 'reason'],
+  ['rejected', 'winner'],
+  ['rejected', 'hash'],
+  ['root_tlds', 'hash'],
+  ['rewards', 'domain']
+];
+
+/**
+ * Build every table from build/valid.json and
+ * build/invalid.json. Rows are sorted, so the same
+ * build always exports the same bytes.
+ * @param {Object} valid
+ * @param {Array[]} invalid
+ * @param {Object} options - {policy, values}
+ * @returns {Object} table name -> rows (arrays)
+ */
+
+function build(valid, invalid, options) {
+  assert(valid && typeof valid === 'object');
+  assert(Array.isArray(invalid));
+
+  const rewards = Rewards.fromValid(valid, options);
+  const tables = {
+    reserved: [],
+    rejected: [],
+    root_tlds: [],
+    rewards: []
+  };
+
+  const names = Object.keys(valid).sort((a, b) => {
+    const x = valid[a][1];
+    const y = valid[b][1];
+
+    if (x !== y)
+      return x - y;
+
+    return util.compare(a, b);
+  });
+
+  for (const name of names) {
+    const [tld, rank, collisions, unicode, suffix] = valid[name];
+    const item = rewards.get(name);
+    const hash = util.hashName(name).toString('hex');
+
+    tables.reserved.push([
+      name,
+      item.domain,
+      rank,
+      tld || null,
+      collisions,
+      item.flags,
+      item.value,
+      hash,
+      unicode || null,
+      suffix || null
+    ]);
+
+    if (rank === 0) {
+      tables.root_tlds.push([
+        name,
+        item.flags,
+        item.value,
+        hash,
+        unicode || null
+      ]);
+    }
+  }
+
+  for (const name of names.slice().sort(util.compare)) {
+    const item = rewards.get(name);
+
+    tables.rewards.push([
+      name,
+      item.domain,
+      item.rank,
+      item.flags,
+      item.base,
+      item.root,
+      item.top,
+      item.custom,
+      item.embargoed ? 1 : 0,
+      item.excluded,
+      item.value
+    ]);
+  }
+
+  tables.root_tlds.sort((a, b) => util.compare(a[0], b[0]));
+
+  for (const [domain, rank, reason, winner, unicode, suffix] of invalid) {
+    // As in lib/api.js, the name is the first label.
+    const index = domain.indexOf('.');
+    const name = index === -1 ? domain : domain.slice(0, index);
+    const tld = index === -1 ? null : domain.slice(index + 1);
+
+    tables.rejected.push([
+      name,
+      domain,
+      rank,
+      tld,
+      reason,
+      winner ? winner[0] : null,
+      winner ? winner[1] : null,
+      util.hashName(name).toString('hex'),
+      unicode || null,
+      suffix || null
+    ]);
+  }
+
+  tables.rejected.sort((a, b) => {
+    if (a[1] !== b[1])
+      return a[1] - b[1];
+
+    return util.compare(a[1], b[1]);
+  });
+
+  return tables;
+}
+
+/**
+ * Serialize a table as CSV (RFC 4180, with a header
+ * row). Nulls are written as empty fields.
+ * @param {String} table
+ * @param {Array[]} rows
+ * @returns {String}
+ */
+
+function toCSV(table, rows) {
+  const columns = columnsOf(table);
+  const lines = [columns.join(',')];
+
+  for (const row of rows)
+    lines.push(row.map(csvField).join(','));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize a table as newline-delimited JSON,
+ * one object per row.
+ * @param {String} table
+ * @param {Array[]} rows
+ * @returns {String}
+ */
+
+function toNDJSON(table, rows) {
+  const columns = columnsOf(table);
+  let out = '';
+
+  for (const row of rows) {
+    const obj = {};
+
+    for (let i = 0; i < columns.length; i++)
+      obj[columns[i]] = row[i];
+
+    out += JSON.stringify(obj) + '\n';
+  }
+
+  return out;
+}
+
+/**
+ * Serialize every table as a SQL script which
+ * creates an indexed SQLite database.
+ * @param {Object} tables - see build()
+ * @returns {String}
+ */
+
+function toSQL(tables) {
+  const out = [
+    'PRAGMA page_size = 4096;',
+    'BEGIN TRANSACTION;'
+  ];
+
+  for (const table of Object.keys(TABLES)) {
+    const columns = TABLES[table].map(([name, type]) => `  ${name} ${type}`);
+
+    out.push(`CREATE TABLE ${table} (\n${columns.join(',\n')}\n);`);
+
+    for (const row of tables[table])
+      out.push(`INSERT INTO ${table} VALUES (${row.map(sqlValue).join(',')});`);
+  }
+
+  for (const [table, column] of INDEXES)
+    out.push(`CREATE INDEX ${table}_${column} ON ${table} (${column});`);
+
+  out.push('COMMIT;');
+  out.push('');
+
+  return out.join('\n');
+}
+
+/*
+ * Helpers
+ */
+
+function columnsOf(table) {
+  assert(TABLES[table]);
+  return TABLES[table].map(([name]) => name);
+}
+
+function csvField(value) {
+  if (value == null)
+    return '';
+
+  const str = String(value);
+
+  if (/[",\r\n]/.test(str))
+    return `"${str.replace(/"/g, '""')}"`;
+
+  return str;
+}
+
+function sqlValue(value) {
+  if (value == null)
+    return 'NULL';
+
+  if (typeof value === 'number') {
+    assert(Number.isSafeInteger(value));
+    return String(value);
+  }
+
+  assert(typeof value === 'string');
+
+  return `'${value.replace(/'/g, '\'\'')}'`;
+}
+
+/*
+ * Expose
+ */
+
+exports.TABLES = TABLES;
+exports.INDEXES = INDEXES;
+exports.build = build;
+exports.toCSV = toCSV;
+exports.toNDJSON = toNDJSON;
+exports.toSQL = toSQL;
@@ -0,0 +1,248 @@
+'use strict';
+
+const assert = require('assert');
+const url = require('url');
+
+/*
+ * Constants
+ */
+
+const reasons = {
+  INVALID: 'idna-invalid',
+  MIXED_SCRIPT: 'idna-mixed-script'
+};
+
+// Scripts told apart by the mixed-script check. Letters
+// in none of these are counted under their own bucket,
+// while Common and Inherited characters (digits, the
+// hyphen, combining marks) are ignored.
+const SCRIPTS = [
+  'Latin',
+  'Greek',
+  'Cyrillic',
+  'Armenian',
+  'Hebrew',
+  'Arabic',
+  'Syriac',
+  'Thaana',
+  'Devanagari',
+  'Bengali',
+  'Gurmukhi',
+  'Gujarati',
+  'Oriya',
+  'Tamil',
+  'Telugu',
+  'Kannada',
+  'Malayalam',
+  'Sinhala',
+  'Thai',
+  'Lao',
+  'Tibetan',
+  'Myanmar',
+  'Georgian',
+  'Hangul',
+  'Ethiopic',
+  'Cherokee',
+  'Khmer',
+  'Mongolian',
+  'Hiragana',
+  'Katakana',
+  'Bopomofo',
+  'Han'
+].map(name => [name, new RegExp(`^\\p{Script=${name}}$`, 'u')]);
+
+const COMMON = /^[\p{Script=Common}\p{Script=Inherited}]$/u;
+
+// Combinations which are normal for a single writing system
+// (UTS #39, "highly restrictive"). Latin may be added to each.
+const ALLOWED = [
+  ['Han', 'Hiragana', 'Katakana'], // Japanese
+  ['Han', 'Hangul'], // Korean
+  ['Han', 'Bopomofo'] // Chinese
+];
+
+/**
+ * Convert a domain to its ASCII form per UTS #46
+ * (non-transitional, IDNA2008 compatible), checking
+ * every label. ASCII labels are only lowercased.
+ * @param {String} domain
+ * @returns {Object} {domain, unicode, reason, detail}
+ */
+
+function toASCII(domain) {
+  assert(typeof domain === 'string');
+
+  const labels = [];
+  const unicode = [];
+
+  for (const label of domain.split('.')) {
+    if (label.length === 0) {
+      return {
+        domain,
+        unicode: null,
+        reason: reasons.INVALID,
+        detail: `\`${domain}\` has an empty label`
+      };
+    }
+
+    const result = convertLabel(label);
+
+    if (result.reason) {
+      return {
+        domain,
+        unicode: null,
+        reason: result.reason,
+        detail: result.detail
+      };
+    }
+
+    labels.push(result.ascii);
+    unicode.push(result.unicode);
+  }
+
+  return {
+    domain: labels.join('.'),
+    unicode: unicode.join('.'),
+    reason: null,
+    detail: null
+  };
+}
+
+/**
+ * Convert a domain or name to Unicode for display.
+ * Labels which are not valid A-labels are kept.
+ * @param {String} domain
+ * @returns {String}
+ */
+
+function toUnicode(domain) {
+  assert(typeof domain === 'string');
+
+  return domain.split('.').map((label) => {
+    if (!isALabel(label))
+      return label;
+
+    const result = convertLabel(label);
+
+    if (result.reason)
+      return label;
+
+    return result.unicode;
+  }).join('.');
+}
+
+/**
+ * Test whether a domain has any internationalized labels.
+ * @param {String} domain
+ * @returns {Boolean}
+ */
+
+function isIDN(domain) {
+  assert(typeof domain === 'string');
+  return domain.split('.').some(isALabel) || !isASCII(domain);
+}
+
+/**
+ * List the scripts used by a label.
+ * @param {String} label - U-label
+ * @returns {String[]}
+ */
+
+function scriptsOf(label) {
+  assert(typeof label === 'string');
+
+  const scripts = new Set();
+
+  for (const ch of label) {
+    if (COMMON.test(ch))
+      continue;
+
+    let script = 'Unknown';
+
+    for (const [name, regex] of SCRIPTS) {
+      if (regex.test(ch)) {
+        script = name;
+        break;
+      }
+    }
+
+    scripts.add(script);
+  }
+
+  return [...scripts];
+}
+
+/**
+ * Test whether a label mixes scripts in a way no
+ * single writing system does.
+ * @param {String} label - U-label
+ * @returns {Boolean}
+ */
+
+function isMixedScript(label) {
+  const scripts = scriptsOf(label);
+
+  if (scripts.length <= 1)
+    return false;
+
+  return !ALLOWED.some((set) => {
+    return scripts.every(name => name === 'Latin' || set.includes(name));
+  });
+}
+
+/*
+ * Helpers
+ */
+
+function convertLabel(label) {
+  const fail = (reason, detail) => {
+    return { ascii: null, unicode: null, reason, detail };
+  };
+
+  if (isASCII(label) && !isALabel(label)) {
+    const ascii = label.toLowerCase();
+    return { ascii, unicode: ascii, reason: null, detail: null };
+  }
+
+  // Maps and validates the label (and decodes A-labels),
+  // returning an empty string if it is not allowed.
+  const ascii = url.domainToASCII(label);
+
+  if (ascii === '' || ascii.includes('.'))
+    return fail(reasons.INVALID, `\`${label}\` is not a valid IDNA label`);
+
+  const unicode = url.domainToUnicode(ascii);
+
+  // A-labels must be in their canonical form
+  // and decode to something which needed it.
+  if (isALabel(label)) {
+    if (ascii !== label.toLowerCase() || isASCII(unicode))
+      return fail(reasons.INVALID, `\`${label}\` is not a valid A-label`);
+  }
+
+  if (isMixedScript(unicode)) {
+    const scripts = scriptsOf(unicode).join(', ');
+    return fail(reasons.MIXED_SCRIPT, `\`${unicode}\` mixes ${scripts}`);
+  }
+
+  return { ascii, unicode, reason: null, detail: null };
+}
+
+function isALabel(label) {
+  return /^xn--/i.test(label);
+}
+
+function isASCII(str) {
+  return /^[ -~]*$/.test(str);
+}
+
+/*
+ * Expose
+ */
+
+exports.reasons = reasons;
+exports.toASCII = toASCII;
+exports.toUnicode = toUnicode;
+exports.isIDN = isIDN;
+exports.scriptsOf = scriptsOf;
+exports.isMixedScript = isMixedScript;
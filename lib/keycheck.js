@@ -0,0 +1,324 @@
+'use strict';
+
+const assert = require('assert');
+const dnssec = require('bns/lib/dnssec');
+const wire = require('bns/lib/wire');
+const {types, algs, hashes, DSRecord} = wire;
+
+/*
+ * Constants
+ */
+
+// Signatures expiring sooner than this are
+// reported (default: one week).
+const EXPIRY_WARNING = 7 * 24 * 60 * 60;
+
+// Algorithms bns can verify.
+const SUPPORTED = new Set([
+  algs.DSA,
+  algs.DSANSEC3SHA1,
+  algs.RSASHA1,
+  algs.RSASHA1NSEC3SHA1,
+  algs.RSASHA256,
+  algs.RSASHA512,
+  algs.ECDSAP256SHA256,
+  algs.ECDSAP384SHA384,
+  algs.ED25519,
+  algs.ED448
+]);
+
+// Issues which make a TLD unresolvable for a
+// validating resolver, everything else warns.
+const ERRORS = new Set([
+  'lookup-failed',
+  'no-keys',
+  'unsigned',
+  'bogus-signature',
+  'expired-signature',
+  'future-signature'
+]);
+
+/**
+ * Check a TLD's DNSKEY RRset against the DS
+ * records in the root zone and verify its RRSIG.
+ * @param {String} name
+ * @param {Object[]} ds - DS records as JSON (root.json)
+ * @param {Record[]} answer - DNSKEY and RRSIG records
+ * @param {Object?} options
+ * @param {Number?} options.now
+ * @param {Number?} options.warning - near-expiry window (seconds)
+ * @returns {Object}
+ */
+
+function check(name, ds, answer, options = {}) {
+  assert(typeof name === 'string');
+  assert(Array.isArray(ds));
+  assert(Array.isArray(answer));
+
+  const now = options.now != null
+    ? options.now
+    : Math.floor(Date.now() / 1000);
+
+  const warning = options.warning != null
+    ? options.warning
+    : EXPIRY_WARNING;
+
+  const parents = ds.map(json => DSRecord.fromJSON(json));
+  const keyset = answer.filter(rr => rr.type === types.DNSKEY);
+  const sigs = answer.filter(rr => rr.type === types.RRSIG
+                                && rr.data.typeCovered === types.DNSKEY);
+
+  const result = {
+    name,
+    status: 'ok',
+    issues: [],
+    algorithms: unique(parents.map(rd => rd.algorithm)),
+    ds: [],
+    keys: [],
+    signature: null
+  };
+
+  const issue = (code) => {
+    if (!result.issues.includes(code))
+      result.issues.push(code);
+  };
+
+  for (const rd of parents) {
+    if (!SUPPORTED.has(rd.algorithm))
+      issue('unsupported-algorithm');
+  }
+
+  if (parents.every(rd => rd.digestType === hashes.SHA1))
+    issue('sha1-only');
+
+  const matched = match(parents, keyset);
+  const tags = new Set(parents.map(rd => rd.keyTag));
+
+  for (const rd of parents) {
+    result.ds.push({
+      keyTag: rd.keyTag,
+      algorithm: rd.algorithm,
+      digestType: rd.digestType,
+      matched: matched.has(rd.keyTag)
+    });
+  }
+
+  for (const rr of keyset) {
+    result.keys.push({
+      keyTag: rr.data.keyTag(),
+      algorithm: rr.data.algorithm,
+      flags: rr.data.flags,
+      matched: matched.has(rr.data.keyTag())
+    });
+  }
+
+  if (matched.size === 0)
+    issue('no-keys');
+  else if (matched.size < tags.size)
+    issue('missing-keys');
+
+  // The DNSKEY RRset must be signed by
+  // one of the keys the DS records point to.
+  let best = null;
+
+  for (const sig of sigs) {
+    const key = matched.get(sig.data.keyTag);
+
+    if (!key)
+      continue;
+
+    const item = {
+      status: 'bogus',
+      keyTag: sig.data.keyTag,
+      algorithm: sig.data.algorithm,
+      inception: sig.data.inception,
+      expiration: sig.data.expiration
+    };
+
+    if (dnssec.verify(sig, key, keyset)) {
+      if (now < sig.data.inception)
+        item.status = 'future';
+      else if (now > sig.data.expiration)
+        item.status = 'expired';
+      else
+        item.status = 'valid';
+    }
+
+    if (!best || compare(item, best) > 0)
+      best = item;
+  }
+
+  result.signature = best;
+
+  if (matched.size > 0) {
+    switch (best ? best.status : 'missing') {
+      case 'valid':
+        if (best.expiration - now < warning)
+          issue('expiring-signature');
+        break;
+      case 'expired':
+        issue('expired-signature');
+        break;
+      case 'future':
+        issue('future-signature');
+        break;
+      case 'missing':
+        issue('unsigned');
+        break;
+      default:
+        issue('bogus-signature');
+        break;
+    }
+  }
+
+  result.status = status(result.issues);
+
+  return result;
+}
+
+/**
+ * Find the DNSKEYs the DS records point to.
+ * SHA-1 digests are only used when a key has
+ * no stronger one.
+ * @param {DSRecord[]} parents
+ * @param {Record[]} keyset
+ * @returns {Map} key tag -> DNSKEY record
+ */
+
+function match(parents, keyset) {
+  const dsMap = new Map();
+
+  for (const rd of parents) {
+    if (!dsMap.has(rd.keyTag))
+      dsMap.set(rd.keyTag, new Map());
+
+    dsMap.get(rd.keyTag).set(rd.digestType, rd);
+  }
+
+  const matched = new Map();
+
+  for (const rr of keyset) {
+    const rd = rr.data;
+    const map = dsMap.get(rd.keyTag());
+
+    if (!map)
+      continue;
+
+    for (const parent of map.values()) {
+      const ds = dnssec.createDS(rr, parent.digestType);
+
+      if (!ds)
+        continue;
+
+      if (parent.digestType === hashes.SHA1 && map.size > 1)
+        continue;
+
+      if (!ds.data.digest.equals(parent.digest))
+        continue;
+
+      if (ds.data.algorithm !== parent.algorithm)
+        continue;
+
+      matched.set(rd.keyTag(), rr);
+
+      break;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Report a TLD whose DNSKEY lookup failed.
+ * @param {String} name
+ * @param {Object[]} ds
+ * @param {String} error
+ * @returns {Object}
+ */
+
+function failure(name, ds, error) {
+  return {
+    name,
+    status: 'error',
+    issues: ['lookup-failed'],
+    error,
+    algorithms: unique(ds.map(json => json.algorithm)),
+    ds: [],
+    keys: [],
+    signature: null
+  };
+}
+
+/**
+ * Summarize per-TLD results.
+ * @param {Object[]} results
+ * @returns {Object}
+ */
+
+function summarize(results) {
+  const summary = {
+    tlds: results.length,
+    ok: 0,
+    warning: 0,
+    error: 0,
+    issues: Object.create(null)
+  };
+
+  for (const {status, issues} of results) {
+    summary[status] += 1;
+
+    for (const code of issues)
+      summary.issues[code] = (summary.issues[code] || 0) + 1;
+  }
+
+  return summary;
+}
+
+/*
+ * Helpers
+ */
+
+function compare(a, b) {
+  const cmp = rank(a) - rank(b);
+
+  if (cmp !== 0)
+    return cmp;
+
+  return a.expiration - b.expiration;
+}
+
+function rank(sig) {
+  switch (sig.status) {
+    case 'valid':
+      return 3;
+    case 'expired':
+    case 'future':
+      return 2;
+    default:
+      return 1;
+  }
+}
+
+function status(issues) {
+  if (issues.some(code => ERRORS.has(code)))
+    return 'error';
+
+  if (issues.length > 0)
+    return 'warning';
+
+  return 'ok';
+}
+
+function unique(items) {
+  return [...new Set(items)].sort((a, b) => a - b);
+}
+
+/*
+ * Expose
+ */
+
+exports.EXPIRY_WARNING = EXPIRY_WARNING;
+exports.check = check;
+exports.match = match;
+exports.failure = failure;
+exports.summarize = summarize;
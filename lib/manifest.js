@@ -0,0 +1,224 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const Path = require('path');
+const SHA256 = require('bcrypto/lib/sha256');
+const Policy = require('./policy');
+const {Rewards} = require('./rewards');
+
+/*
+ * Constants
+ */
+
+const VERSION = 1;
+
+// Everything under these directories is an input.
+const INPUT_DIRS = ['data', 'names'];
+
+// Build files which are inputs rather than outputs:
+// the results of ./zone-check.js and ./name-collision.js
+// depend on the time and network they were run with.
+const PINNED = [
+  'build/metadata.json',
+  'build/namecollision.json'
+];
+
+// Written by ./generate.js, ./confusables.js,
+// ./zone.js and ./zone-build.js.
+const OUTPUTS = [
+  'build/valid.json',
+  'build/invalid.json',
+  'build/names.json',
+  'build/names.db',
+  'build/trademarks.json',
+  'build/confusables.json',
+  'build/root.json',
+  'build/tld.json',
+  'build/tld.db',
+  'build/tld.h'
+];
+
+/**
+ * Hash a file.
+ * @param {String} file
+ * @returns {Object} {size, sha256}
+ */
+
+function hashFile(file) {
+  const data = fs.readFileSync(file);
+
+  return {
+    size: data.length,
+    sha256: SHA256.digest(data).toString('hex')
+  };
+}
+
+/**
+ * List the input files of a tree, relative to it.
+ * Missing files are left out.
+ * @param {String} root
+ * @returns {String[]}
+ */
+
+function inputsOf(root) {
+  const files = [];
+
+  for (const dir of INPUT_DIRS)
+    walk(root, dir, files);
+
+  for (const file of PINNED) {
+    if (fs.existsSync(Path.resolve(root, file)))
+      files.push(file);
+  }
+
+  return files.sort();
+}
+
+/**
+ * List the output files of a tree, relative to it.
+ * Missing files are left out.
+ * @param {String} root
+ * @returns {String[]}
+ */
+
+function outputsOf(root) {
+  return OUTPUTS.filter(file => fs.existsSync(Path.resolve(root, file)));
+}
+
+/**
+ * Build the manifest of a tree: hashes of every input
+ * and output, plus record counts and reward totals.
+ * @param {String} root
+ * @returns {Object}
+ */
+
+function create(root) {
+  assert(typeof root === 'string');
+
+  const read = file => fs.readFileSync(Path.resolve(root, file));
+  const outputs = outputsOf(root);
+  const has = file => outputs.includes(file);
+
+  const manifest = {
+    version: VERSION,
+    inputs: hashAll(root, inputsOf(root)),
+    outputs: hashAll(root, outputs),
+    counts: {},
+    rewards: null
+  };
+
+  const {counts} = manifest;
+
+  if (has('build/valid.json')) {
+    const valid = JSON.parse(read('build/valid.json'));
+    const values = JSON.parse(read('names/values.json'));
+    const rewards = Rewards.fromValid(valid, {
+      policy: new Policy(),
+      values
+    });
+    const {totals} = rewards.reconcile();
+
+    counts.valid = Object.keys(valid).length;
+
+    manifest.rewards = {
+      values: totals.values,
+      total: totals.value.total,
+      burned: totals.burned
+    };
+  }
+
+  if (has('build/invalid.json'))
+    counts.invalid = JSON.parse(read('build/invalid.json')).length;
+
+  if (has('build/names.db'))
+    counts.names = read('build/names.db').readUInt32LE(0);
+
+  if (has('build/root.json'))
+    counts.tlds = Object.keys(JSON.parse(read('build/root.json'))).length;
+
+  return manifest;
+}
+
+/**
+ * Compare a manifest against an expected one.
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {String[]} mismatches, empty if identical
+ */
+
+function compare(expected, actual) {
+  assert(expected && actual);
+
+  const errors = [];
+
+  if (expected.version !== VERSION)
+    errors.push(`Unknown manifest version: ${expected.version}.`);
+
+  for (const section of ['inputs', 'outputs']) {
+    const a = expected[section] || {};
+    const b = actual[section] || {};
+
+    for (const file of Object.keys(a)) {
+      if (!b[file])
+        errors.push(`${file}: missing.`);
+      else if (a[file].sha256 !== b[file].sha256)
+        errors.push(`${file}: sha256 ${b[file].sha256} != ${a[file].sha256}.`);
+    }
+
+    for (const file of Object.keys(b)) {
+      if (!a[file])
+        errors.push(`${file}: not in manifest.`);
+    }
+  }
+
+  const a = JSON.stringify([expected.counts, expected.rewards]);
+  const b = JSON.stringify([actual.counts, actual.rewards]);
+
+  if (a !== b)
+    errors.push(`Counts or rewards differ: ${b} != ${a}.`);
+
+  return errors;
+}
+
+/*
+ * Helpers
+ */
+
+function hashAll(root, files) {
+  const out = {};
+
+  for (const file of files)
+    out[file] = hashFile(Path.resolve(root, file));
+
+  return out;
+}
+
+function walk(root, dir, files) {
+  const path = Path.resolve(root, dir);
+
+  if (!fs.existsSync(path))
+    return;
+
+  for (const name of fs.readdirSync(path).sort()) {
+    const file = `${dir}/${name}`;
+
+    if (fs.statSync(Path.resolve(root, file)).isDirectory())
+      walk(root, file, files);
+    else
+      files.push(file);
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports.VERSION = VERSION;
+exports.PINNED = PINNED;
+exports.OUTPUTS = OUTPUTS;
+exports.hashFile = hashFile;
+exports.inputsOf = inputsOf;
+exports.outputsOf = outputsOf;
+exports.create = create;
+exports.compare = compare;
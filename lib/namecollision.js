@@ -0,0 +1,152 @@
+'use strict';
+
+const assert = require('assert');
+const wire = require('bns/lib/wire');
+const txt = require('./txt');
+const {types} = wire;
+
+/*
+ * Constants
+ */
+
+// ICANN's controlled interruption address, see:
+// https://www.icann.org/resources/pages/name-collision-2013-12-06-en
+const INTERRUPTION_ADDRESS = '127.0.53.53';
+
+// Controlled interruption is served as a wildcard,
+// so a random label under the TLD should hit it.
+const PROBE_LABEL = 'hs-names-probe';
+
+/**
+ * Find TLDs serving ICANN's name collision notice
+ * in the classified TXT crawl (build/txt.json).
+ * @param {Object} json
+ * @returns {Map} name -> evidence[]
+ */
+
+function fromTXT(json) {
+  assert(json && typeof json === 'object');
+  assert(json.tlds && typeof json.tlds === 'object');
+
+  const found = new Map();
+
+  for (const key of Object.keys(json.tlds)) {
+    const {records} = json.tlds[key];
+
+    for (const item of records) {
+      if (item.kind !== txt.kinds.NAME_COLLISION)
+        continue;
+
+      add(found, trimDot(key), {
+        source: 'txt',
+        name: key,
+        data: item.text.join(' ')
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Probe TLDs for controlled interruption A records,
+ * both at the apex and under a random label.
+ * @param {Crawler} crawler - see lib/crawler.js
+ * @param {String[]} names - TLDs, fully qualified
+ * @returns {Promise<Object>} {found: Map, failed: String[]}
+ */
+
+async function probe(crawler, names) {
+  assert(Array.isArray(names));
+
+  const found = new Map();
+  const failed = [];
+  const nonce = Math.random().toString(36).slice(2, 10);
+
+  await crawler.each(names, async (tld) => {
+    const queries = [tld, `${PROBE_LABEL}-${nonce}.${tld}`];
+
+    for (const name of queries) {
+      let res;
+
+      try {
+        res = await crawler.lookup(name, types.A);
+      } catch (e) {
+        failed.push(name);
+        continue;
+      }
+
+      for (const rr of res.answer) {
+        if (rr.type !== types.A)
+          continue;
+
+        if (rr.name.toLowerCase() !== name)
+          continue;
+
+        if (rr.data.address !== INTERRUPTION_ADDRESS)
+          continue;
+
+        add(found, trimDot(tld), {
+          source: 'a',
+          name,
+          data: rr.data.address
+        });
+
+        break;
+      }
+    }
+  });
+
+  return { found, failed: failed.sort() };
+}
+
+/**
+ * Combine detector results into a JSON object
+ * keyed by TLD (without the trailing dot).
+ * @param {...Map} maps
+ * @returns {Object}
+ */
+
+function merge(...maps) {
+  const all = new Map();
+
+  for (const map of maps) {
+    for (const [name, evidence] of map) {
+      for (const item of evidence)
+        add(all, name, item);
+    }
+  }
+
+  const out = Object.create(null);
+
+  for (const name of [...all.keys()].sort())
+    out[name] = { evidence: all.get(name) };
+
+  return out;
+}
+
+/*
+ * Helpers
+ */
+
+function add(map, name, item) {
+  if (!map.has(name))
+    map.set(name, []);
+
+  map.get(name).push(item);
+}
+
+function trimDot(name) {
+  if (name.length > 0 && name[name.length - 1] === '.')
+    return name.slice(0, -1);
+  return name;
+}
+
+/*
+ * Expose
+ */
+
+exports.INTERRUPTION_ADDRESS = INTERRUPTION_ADDRESS;
+exports.fromTXT = fromTXT;
+exports.probe = probe;
+exports.merge = merge;
@@ -0,0 +1,239 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('bfile');
+const bio = require('bufio');
+const util = require('../util');
+
+/*
+ * Constants
+ */
+
+const ZERO_HASH = Buffer.alloc(32, 0x00).toString('hex');
+
+const flags = {
+  ROOT: 1,
+  TOP100: 2,
+  CUSTOM: 4,
+  EMBARGOED: 8
+};
+
+/**
+ * NamesDB
+ *
+ * Reader for `build/names.db`:
+ *
+ *   u32     count
+ *   u64     name value
+ *   u64     root value
+ *   u64     top 100 value
+ *   [count] 32 byte sha3 hash, u32 offset (sorted by hash)
+ *   [count] u8 target length, ascii target, u8 flags,
+ *           u8 name length, u64 custom value (if flags & 4)
+ */
+
+class NamesDB {
+  constructor(data) {
+    assert(Buffer.isBuffer(data));
+    assert(data.length >= 28);
+
+    this.data = data;
+    this.size = bio.readU32(data, 0);
+    this.nameValue = bio.readU64(data, 4);
+    this.rootValue = bio.readU64(data, 12);
+    this.topValue = bio.readU64(data, 20);
+
+    assert(data.length >= 28 + this.size * 36);
+  }
+
+  static decode(data) {
+    return new this(data);
+  }
+
+  static fromFile(file) {
+    return new this(fs.readFileSync(file));
+  }
+
+  _compare(hash, pos) {
+    return this.data.compare(hash, 0, 32, pos, pos + 32);
+  }
+
+  _find(hash) {
+    let start = 0;
+    let end = this.size - 1;
+
+    while (start <= end) {
+      const index = (start + end) >>> 1;
+      const pos = 28 + index * 36;
+      const cmp = this._compare(hash, pos);
+
+      if (cmp === 0)
+        return bio.readU32(this.data, pos + 32);
+
+      if (cmp > 0)
+        end = index - 1;
+      else
+        start = index + 1;
+    }
+
+    return -1;
+  }
+
+  _read(hash, pos) {
+    const {data} = this;
+    const len = data[pos];
+    const target = data.toString('ascii', pos + 1, pos + 1 + len);
+
+    pos += 1 + len;
+
+    const bits = data[pos];
+    const index = data[pos + 1];
+
+    pos += 2;
+
+    let custom = -1;
+
+    if (bits & flags.CUSTOM)
+      custom = bio.readU64(data, pos);
+
+    return {
+      name: target.slice(0, index),
+      hash,
+      target,
+      flags: bits,
+      root: (bits & flags.ROOT) !== 0,
+      top100: (bits & flags.TOP100) !== 0,
+      embargoed: (bits & flags.EMBARGOED) !== 0,
+      custom
+    };
+  }
+
+  has(hash) {
+    assert(Buffer.isBuffer(hash) && hash.length === 32);
+    return this._find(hash) !== -1;
+  }
+
+  get(hash) {
+    assert(Buffer.isBuffer(hash) && hash.length === 32);
+
+    const pos = this._find(hash);
+
+    if (pos === -1)
+      return null;
+
+    return this._read(hash, pos);
+  }
+
+  hasByName(name) {
+    return this.has(util.hashName(name));
+  }
+
+  getByName(name) {
+    return this.get(util.hashName(name));
+  }
+
+  *entries() {
+    for (let i = 0; i < this.size; i++) {
+      const pos = 28 + i * 36;
+      const hash = this.data.slice(pos, pos + 32);
+      const off = bio.readU32(this.data, pos + 32);
+
+      yield this._read(hash, off);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Compare every entry against the JSON
+   * representation (`build/names.json`).
+   * @param {Object} json
+   * @returns {String[]} errors
+   */
+
+  verify(json) {
+    assert(json && typeof json === 'object');
+
+    const errors = [];
+    const header = json[ZERO_HASH];
+
+    if (!Array.isArray(header)) {
+      errors.push('Missing header entry.');
+    } else {
+      const [size, nameValue, rootValue, topValue] = header;
+
+      if (size !== this.size)
+        errors.push(`Size mismatch: ${this.size} != ${size}.`);
+
+      if (nameValue !== this.nameValue)
+        errors.push(`Name value mismatch: ${this.nameValue} != ${nameValue}.`);
+
+      if (rootValue !== this.rootValue)
+        errors.push(`Root value mismatch: ${this.rootValue} != ${rootValue}.`);
+
+      if (topValue !== this.topValue)
+        errors.push(`Top value mismatch: ${this.topValue} != ${topValue}.`);
+    }
+
+    const seen = new Set();
+
+    let last = null;
+
+    for (const item of this.entries()) {
+      const hex = item.hash.toString('hex');
+
+      if (last && last.compare(item.hash) >= 0)
+        errors.push(`Hash table not sorted at ${hex}.`);
+
+      last = item.hash;
+
+      if (!util.hashName(item.name).equals(item.hash))
+        errors.push(`Hash mismatch for ${item.name} (${hex}).`);
+
+      const expect = json[hex];
+
+      if (!Array.isArray(expect)) {
+        errors.push(`Unknown entry: ${item.name} (${hex}).`);
+        continue;
+      }
+
+      seen.add(hex);
+
+      const [target, bits, custom = -1] = expect;
+
+      if (item.target !== target)
+        errors.push(`Target mismatch for ${hex}: ${item.target} != ${target}.`);
+
+      if (item.flags !== bits)
+        errors.push(`Flags mismatch for ${hex}: ${item.flags} != ${bits}.`);
+
+      if (item.custom !== custom)
+        errors.push(`Value mismatch for ${hex}: ${item.custom} != ${custom}.`);
+    }
+
+    for (const hex of Object.keys(json)) {
+      if (hex === ZERO_HASH)
+        continue;
+
+      if (!seen.has(hex))
+        errors.push(`Missing entry: ${json[hex][0]} (${hex}).`);
+    }
+
+    return errors;
+  }
+}
+
+/*
+ * Static
+ */
+
+NamesDB.flags = flags;
+NamesDB.ZERO_HASH = ZERO_HASH;
+
+/*
+ * Expose
+ */
+
+module.exports = NamesDB;
@@ -0,0 +1,362 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const schema = require('./schema');
+
+/*
+ * Constants
+ */
+
+// The SLD must be a known TLD
+// (or a widley used second-level
+// domain like `co` or `ac`).
+// Prioritize SLDs that have at
+// least 3 in the top 100k.
+const SLDS = [
+  'com',
+  'edu',
+  'gov',
+  'mil',
+  'net',
+  'org',
+  'co', // common everywhere (1795)
+  'ac', // common everywhere (572)
+  'go', // govt for jp, kr, id, ke, th, tz (169)
+  'gob', // govt for mx, ar, ve, pe, es (134)
+  'nic', // govt for in (97)
+  'or', // common in jp, kr, id (64)
+  'ne', // common in jp (55)
+  'gouv', // govt for fr (32)
+  'jus', // govt for br (28)
+  'gc', // govt for ca (19)
+  'lg', // common in jp (15)
+  'in', // common in th (14)
+  'govt', // govt for nz (11)
+  'gv', // common in au (8)
+  'spb', // common in ru (6)
+  'on', // ontario domain for ca (6)
+  'gen', // common in tr (6)
+  'res', // common in in (6)
+  'qc', // quebec domain for ca (5)
+  'kiev', // kiev domain for ua (5)
+  'fi', // common in cr (4)
+  'ab', // alberta domain for ca (3)
+  'dn', // common in ua (3)
+  'ed' // common in ao and jp (3)
+];
+
+// How third-level domains are handled: `legacy` uses
+// the SLD allowlist above, `icann` and `private` use the
+// vendored Public Suffix List (with or without private
+// suffixes like `github.io`).
+const SUFFIXES = ['legacy', 'icann', 'private'];
+
+// Claim rewards, forced top 100 names and
+// embargoes live in names/policy.json. See
+// the README for why the embargoes exist.
+const POLICY = require('../names/policy.json');
+const SCHEMA = require('../names/policy.schema.json');
+
+// Reward values are in dollarydoos.
+const COIN = 1e6;
+
+/**
+ * Policy
+ *
+ * Every tunable used by compile(). The defaults
+ * reproduce the canonical build.
+ */
+
+class Policy {
+  constructor(options) {
+    // Only the top 100,000 ranked domains are considered.
+    this.cutoff = 100000;
+
+    // Use stricter rules after rank 50k.
+    this.strict = 50000;
+
+    // Allowed second-level domains under ccTLDs.
+    this.slds = new Set(SLDS);
+
+    // Where registrable domains are split off.
+    this.suffixes = 'legacy';
+
+    // Ignore single letter domains.
+    this.oneLetter = true;
+
+    // Ignore two-letter domains after `strict`.
+    this.twoLetter = true;
+
+    // Ignore dictionary words ranked after a
+    // per-language threshold. Each language needs
+    // a word list in names/dictionaries. Set by
+    // names/policy.json.
+    this.dictionaries = new Map([['en', 50000]]);
+
+    this.version = 0;
+    this.forceTop100 = new Set();
+    this.embargoes = new Set();
+
+    // Split between names, root TLDs and the top 100.
+    this.total = 0;
+    this.shares = { name: 0, root: 0, top100: 0 };
+
+    // Paid out to addresses rather than names.
+    this.extra = 0;
+
+    // Total payout the above should come to.
+    this.expected = 0;
+
+    this.fromJSON(POLICY);
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object');
+
+    if (options.cutoff != null) {
+      assert((options.cutoff >>> 0) === options.cutoff);
+      this.cutoff = options.cutoff;
+    }
+
+    if (options.strict != null) {
+      assert((options.strict >>> 0) === options.strict);
+      this.strict = options.strict;
+    }
+
+    if (options.slds != null) {
+      assert(isStrings(options.slds));
+      this.slds = new Set(options.slds);
+    }
+
+    if (options.suffixes != null) {
+      assert(SUFFIXES.includes(options.suffixes));
+      this.suffixes = options.suffixes;
+    }
+
+    if (options.oneLetter != null) {
+      assert(typeof options.oneLetter === 'boolean');
+      this.oneLetter = options.oneLetter;
+    }
+
+    if (options.twoLetter != null) {
+      assert(typeof options.twoLetter === 'boolean');
+      this.twoLetter = options.twoLetter;
+    }
+
+    if (options.dictionaries != null)
+      this.setDictionaries(options.dictionaries);
+
+    // Older policy files toggle English alone.
+    if (options.englishWords != null) {
+      assert(typeof options.englishWords === 'boolean');
+
+      if (!options.englishWords)
+        this.dictionaries.delete('en');
+      else if (!this.dictionaries.has('en'))
+        this.dictionaries.set('en', this.strict);
+    }
+
+    if (options.forceTop100 != null) {
+      assert(isStrings(options.forceTop100));
+      this.forceTop100 = new Set(options.forceTop100);
+    }
+
+    if (options.embargoes != null) {
+      assert(isStrings(options.embargoes));
+      this.embargoes = new Set(options.embargoes);
+    }
+
+    // Same format as in names/policy.json.
+    if (options.rewards != null) {
+      const errors = checkRewards(options.rewards);
+
+      if (errors.length > 0)
+        throw new Error(`Invalid rewards:\n  ${errors.join('\n  ')}`);
+
+      this.setRewards(options.rewards);
+    }
+
+    return this;
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  fromJSON(json) {
+    const errors = Policy.validate(json);
+
+    if (errors.length > 0)
+      throw new Error(`Invalid policy:\n  ${errors.join('\n  ')}`);
+
+    this.version = json.version;
+    this.forceTop100 = new Set(json.forceTop100);
+    this.embargoes = new Set(json.embargoes);
+
+    if (json.dictionaries != null)
+      this.setDictionaries(json.dictionaries);
+
+    return this.setRewards(json.rewards);
+  }
+
+  /**
+   * Set the per-language thresholds. A language
+   * mapped to null (or false) is not checked.
+   * @param {Object} dictionaries - language -> rank
+   * @returns {Policy}
+   */
+
+  setDictionaries(dictionaries) {
+    assert(dictionaries && typeof dictionaries === 'object');
+
+    this.dictionaries = new Map();
+
+    for (const lang of Object.keys(dictionaries).sort()) {
+      const threshold = dictionaries[lang];
+
+      if (threshold == null || threshold === false)
+        continue;
+
+      assert((threshold >>> 0) === threshold);
+
+      this.dictionaries.set(lang, threshold);
+    }
+
+    return this;
+  }
+
+  setRewards(rewards) {
+    this.total = rewards.total * COIN;
+    this.shares = Object.assign({}, rewards.shares);
+    this.extra = sum(rewards.extra) * COIN;
+    this.expected = rewards.expected;
+    return this;
+  }
+
+  static fromJSON(json) {
+    return new this().fromJSON(json);
+  }
+
+  static fromFile(file) {
+    return this.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Check a policy file against names/policy.schema.json.
+   * @param {Object} json
+   * @returns {String[]} errors, empty if valid
+   */
+
+  static validate(json) {
+    const errors = schema.validate(SCHEMA, json);
+
+    if (errors.length > 0)
+      return errors;
+
+    return checkRewards(json.rewards);
+  }
+
+  /**
+   * Compute the value of one part of the split.
+   * @param {String} key - `name`, `root` or `top100`
+   * @returns {Number} dollarydoos
+   */
+
+  share(key) {
+    assert(Object.prototype.hasOwnProperty.call(this.shares, key));
+
+    const {name, root, top100} = this.shares;
+    const weight = name + root + top100;
+
+    if (weight === 0)
+      return 0;
+
+    return Math.floor(this.total * this.shares[key] / weight);
+  }
+
+  isTop100(domain, rank) {
+    return (rank > 0 && rank <= 100) || this.forceTop100.has(domain);
+  }
+
+  toJSON() {
+    return {
+      cutoff: this.cutoff,
+      strict: this.strict,
+      slds: [...this.slds],
+      suffixes: this.suffixes,
+      oneLetter: this.oneLetter,
+      twoLetter: this.twoLetter,
+      dictionaries: toObject(this.dictionaries),
+      forceTop100: [...this.forceTop100],
+      embargoes: [...this.embargoes],
+      rewards: {
+        total: this.total / COIN,
+        shares: Object.assign({}, this.shares),
+        extra: [this.extra / COIN],
+        expected: this.expected
+      }
+    };
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function checkRewards(rewards) {
+  const errors = schema.validate(SCHEMA.properties.rewards, rewards, 'rewards');
+
+  if (errors.length > 0)
+    return errors;
+
+  const {total, shares, extra} = rewards;
+  const weight = shares.name + shares.root + shares.top100;
+
+  if (weight === 0)
+    errors.push('rewards.shares: must not all be zero.');
+
+  if (!Number.isSafeInteger(total * COIN * Math.max(weight, 1)))
+    errors.push('rewards.total: too large.');
+
+  if (!Number.isSafeInteger(sum(extra) * COIN))
+    errors.push('rewards.extra: too large.');
+
+  return errors;
+}
+
+function sum(items) {
+  return items.reduce((a, b) => a + b, 0);
+}
+
+function toObject(map) {
+  const obj = {};
+
+  for (const [key, value] of map)
+    obj[key] = value;
+
+  return obj;
+}
+
+function isStrings(items) {
+  if (!Array.isArray(items) && !(items instanceof Set))
+    return false;
+
+  for (const item of items) {
+    if (typeof item !== 'string')
+      return false;
+  }
+
+  return true;
+}
+
+/*
+ * Expose
+ */
+
+Policy.SUFFIXES = SUFFIXES;
+
+module.exports = Policy;
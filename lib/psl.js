@@ -0,0 +1,218 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const Path = require('path');
+const url = require('url');
+
+/*
+ * Constants
+ */
+
+const sections = {
+  ICANN: 'icann',
+  PRIVATE: 'private'
+};
+
+// Vendored snapshot of https://publicsuffix.org/list/.
+const SNAPSHOT =
+  Path.resolve(__dirname, '..', 'data', 'public_suffix_list.dat');
+
+/**
+ * Public Suffix List
+ *
+ * Rules are stored as A-labels. Matching follows
+ * the algorithm at https://publicsuffix.org/list/:
+ * exception rules win, then the longest matching
+ * rule, then the implicit `*` rule.
+ */
+
+class PublicSuffixList {
+  constructor() {
+    // Rule (`co.uk`, `*.ck`, `!www.ck`) -> section.
+    this.rules = new Map();
+  }
+
+  /**
+   * Parse the text of public_suffix_list.dat.
+   * @param {String} text
+   * @returns {PublicSuffixList}
+   */
+
+  fromText(text) {
+    assert(typeof text === 'string');
+
+    let section = null;
+
+    for (let line of text.split('\n')) {
+      line = line.trim();
+
+      if (line.startsWith('// ===BEGIN ')) {
+        if (line.includes('ICANN DOMAINS'))
+          section = sections.ICANN;
+        else if (line.includes('PRIVATE DOMAINS'))
+          section = sections.PRIVATE;
+        continue;
+      }
+
+      if (line.startsWith('// ===END ')) {
+        section = null;
+        continue;
+      }
+
+      if (line.length === 0 || line.startsWith('//'))
+        continue;
+
+      if (!section)
+        continue;
+
+      // Only the first token counts.
+      const rule = toRule(line.split(/\s/)[0]);
+
+      if (!rule)
+        throw new Error(`Invalid public suffix rule: ${line}.`);
+
+      if (!this.rules.has(rule))
+        this.rules.set(rule, section);
+    }
+
+    return this;
+  }
+
+  static fromText(text) {
+    return new this().fromText(text);
+  }
+
+  static fromFile(file) {
+    return this.fromText(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Look up a rule, optionally ignoring private ones.
+   * @param {String} rule
+   * @param {Boolean} priv
+   * @returns {String|null} section
+   */
+
+  get(rule, priv) {
+    const section = this.rules.get(rule);
+
+    if (!section)
+      return null;
+
+    if (section === sections.PRIVATE && !priv)
+      return null;
+
+    return section;
+  }
+
+  /**
+   * Find the public suffix of a domain.
+   * @param {String} domain - lowercase A-labels
+   * @param {Boolean?} priv - include private suffixes
+   * @returns {Object} {rule, section, suffix, registrable}
+   */
+
+  match(domain, priv = false) {
+    assert(typeof domain === 'string');
+    assert(typeof priv === 'boolean');
+
+    const labels = domain.split('.');
+
+    // Exception rules take priority over everything,
+    // and the suffix is the rule minus its first label.
+    for (let i = 0; i < labels.length; i++) {
+      const rule = `!${labels.slice(i).join('.')}`;
+      const section = this.get(rule, priv);
+
+      if (section)
+        return result(labels, labels.length - i - 1, rule, section);
+    }
+
+    // Otherwise the longest rule wins.
+    for (let i = 0; i < labels.length; i++) {
+      const size = labels.length - i;
+      const exact = labels.slice(i).join('.');
+
+      let section = this.get(exact, priv);
+
+      if (section)
+        return result(labels, size, exact, section);
+
+      if (size < 2)
+        continue;
+
+      const wild = `*.${labels.slice(i + 1).join('.')}`;
+
+      section = this.get(wild, priv);
+
+      if (section)
+        return result(labels, size, wild, section);
+    }
+
+    // Unlisted TLDs are public suffixes.
+    return result(labels, 1, '*', null);
+  }
+}
+
+let snapshot = null;
+
+/**
+ * Load the vendored snapshot (cached).
+ * @returns {PublicSuffixList}
+ */
+
+function load() {
+  if (!snapshot)
+    snapshot = PublicSuffixList.fromFile(SNAPSHOT);
+
+  return snapshot;
+}
+
+/*
+ * Helpers
+ */
+
+function toRule(line) {
+  let prefix = '';
+
+  if (line.startsWith('!')) {
+    prefix = '!';
+    line = line.substring(1);
+  }
+
+  const labels = line.split('.');
+
+  if (labels[0] === '*') {
+    prefix += '*.';
+    labels.shift();
+  }
+
+  // Rules for IDNs are listed as U-labels.
+  const ascii = url.domainToASCII(labels.join('.'));
+
+  if (ascii === '')
+    return null;
+
+  return prefix + ascii;
+}
+
+function result(labels, size, rule, section) {
+  const suffix = labels.slice(-size).join('.');
+
+  let registrable = null;
+
+  if (labels.length > size)
+    registrable = labels.slice(-(size + 1)).join('.');
+
+  return { rule, section, suffix, registrable };
+}
+
+/*
+ * Expose
+ */
+
+exports.sections = sections;
+exports.SNAPSHOT = SNAPSHOT;
+exports.PublicSuffixList = PublicSuffixList;
+exports.load = load;
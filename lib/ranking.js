@@ -0,0 +1,503 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const readline = require('readline');
+const {once} = require('events');
+const {StringDecoder} = require('string_decoder');
+
+/*
+ * Sources
+ */
+
+// Column layouts of the supported ranking lists.
+// Indexed columns are for headerless CSVs, named
+// columns are looked up in the header row.
+const sources = {
+  // https://s3.amazonaws.com/alexa-static/top-1m.csv.zip
+  alexa: {
+    file: 'top-1m.csv',
+    header: false,
+    rank: 0,
+    domain: 1,
+    bucketed: false
+  },
+  // https://tranco-list.eu/top-1m.csv.zip
+  tranco: {
+    file: 'tranco.csv',
+    header: false,
+    rank: 0,
+    domain: 1,
+    bucketed: false
+  },
+  // https://s3-us-west-1.amazonaws.com/umbrella-static/top-1m.csv.zip
+  umbrella: {
+    file: 'umbrella.csv',
+    header: false,
+    rank: 0,
+    domain: 1,
+    bucketed: false
+  },
+  // https://downloads.majestic.com/majestic_million.csv
+  majestic: {
+    file: 'majestic_million.csv',
+    header: true,
+    rank: 'GlobalRank',
+    domain: 'Domain',
+    bucketed: false
+  },
+  // https://github.com/zakird/crux-top-lists
+  // Ranks are magnitude buckets (1000, 5000, ...).
+  crux: {
+    file: 'crux.csv',
+    header: true,
+    rank: 'rank',
+    domain: 'origin',
+    bucketed: true
+  }
+};
+
+/**
+ * Normalize a ranked origin or domain to a bare,
+ * lowercase domain name. Returns null for entries
+ * which are not at least second-level domains.
+ * @param {String} str
+ * @returns {String|null}
+ */
+
+function normalize(str) {
+  assert(typeof str === 'string');
+
+  let domain = str.trim().toLowerCase();
+
+  // Scheme (CrUX origins).
+  domain = domain.replace(/^[a-z][a-z0-9+.\-]*:\/\//, '');
+
+  // Userinfo, path, query and port.
+  domain = domain.replace(/^[^@\/]*@/, '');
+  domain = domain.replace(/[\/?#].*$/, '');
+  domain = domain.replace(/:\d*$/, '');
+
+  // Trailing dot.
+  if (domain.length > 0 && domain[domain.length - 1] === '.')
+    domain = domain.slice(0, -1);
+
+  const labels = domain.split('.');
+
+  if (labels.length < 2)
+    return null;
+
+  for (const label of labels) {
+    if (label.length === 0 || label.length > 63)
+      return null;
+  }
+
+  if (domain.length > 253)
+    return null;
+
+  return domain;
+}
+
+/**
+ * Parser
+ *
+ * Turns the lines of a ranking list into an ordered
+ * list of domains, one line at a time. Ranks are
+ * positional: gaps, missing ranks and duplicates
+ * only produce warnings.
+ */
+
+class Parser {
+  constructor(name, options = {}) {
+    assert(options && typeof options === 'object');
+
+    const source = sources[name];
+
+    if (!source)
+      throw new Error(`Unknown ranking source: ${name}.`);
+
+    const {count = null} = options;
+
+    assert(count == null || (count >>> 0) === count);
+
+    this.name = name;
+    this.source = source;
+    this.count = count;
+    this.warnings = [];
+    this.seen = new Set();
+    this.total = 0;
+    this.rankCol = source.rank;
+    this.domainCol = source.domain;
+    this.header = source.header;
+    this.cur = 1;
+    this.num = 0;
+  }
+
+  /**
+   * Whether `count` domains have been read.
+   * @returns {Boolean}
+   */
+
+  get done() {
+    return this.count != null && this.total === this.count;
+  }
+
+  /**
+   * Parse a line.
+   * @param {String} line
+   * @returns {String|null} domain, if the line has a new one
+   */
+
+  push(line) {
+    const {name, source, warnings} = this;
+    const ln = line.trim();
+
+    this.num += 1;
+
+    if (ln.length === 0)
+      return null;
+
+    const items = splitFields(ln);
+
+    if (this.header) {
+      this.rankCol = items.indexOf(source.rank);
+      this.domainCol = items.indexOf(source.domain);
+
+      if (this.rankCol === -1 || this.domainCol === -1)
+        throw new Error(`Invalid ${name} header: ${ln}.`);
+
+      this.header = false;
+
+      return null;
+    }
+
+    const {num, rankCol, domainCol} = this;
+
+    if (domainCol >= items.length) {
+      warnings.push(`Line ${num} is malformed.`);
+      return null;
+    }
+
+    const rank = parseInt(items[rankCol], 10);
+
+    if (!Number.isSafeInteger(rank) || rank <= 0) {
+      warnings.push(`Line ${num} has no rank.`);
+
+      if (!source.bucketed)
+        this.cur += 1;
+    } else if (source.bucketed) {
+      if (rank < this.cur)
+        warnings.push(`Line ${num} is out of order (${rank} < ${this.cur}).`);
+      else
+        this.cur = rank;
+    } else {
+      // No idea why alexa does this.
+      if (rank > this.cur)
+        warnings.push(`Rank inconsistency: ${missing(this.cur, rank)}.`);
+      else if (rank < this.cur)
+        warnings.push(`Line ${num} is out of order (${rank} < ${this.cur}).`);
+
+      this.cur = rank + 1;
+    }
+
+    const domain = normalize(items[domainCol]);
+
+    if (!domain) {
+      warnings.push(`Line ${num} has an invalid domain: ${items[domainCol]}.`);
+      return null;
+    }
+
+    // CrUX lists both http and https origins.
+    if (this.seen.has(domain)) {
+      warnings.push(`Line ${num} repeats ${domain}.`);
+      return null;
+    }
+
+    this.seen.add(domain);
+    this.total += 1;
+
+    return domain;
+  }
+
+  /**
+   * Check that enough domains were read.
+   */
+
+  finish() {
+    if (this.count != null && this.total < this.count) {
+      throw new Error(`Expected ${this.count} ${this.name} domains,`
+                    + ` got ${this.total}.`);
+    }
+  }
+}
+
+/**
+ * Parse a ranking list into an ordered list of domains.
+ * @param {String} name - source name
+ * @param {String} text - CSV contents
+ * @param {Object?} options
+ * @param {Number?} options.count - rows to keep
+ * @returns {Object} {source, count, domains, warnings}
+ */
+
+function parse(name, text, options = {}) {
+  assert(typeof text === 'string');
+
+  const parser = new Parser(name, options);
+  const domains = [];
+
+  for (const line of text.split('\n')) {
+    const domain = parser.push(line);
+
+    if (domain)
+      domains.push(domain);
+
+    if (parser.done)
+      break;
+  }
+
+  parser.finish();
+
+  return {
+    source: name,
+    count: domains.length,
+    domains,
+    warnings: parser.warnings
+  };
+}
+
+/**
+ * Stream a ranking list into the intermediate
+ * format read by open(). Lines are read and written
+ * with back-pressure, and reading stops once `count`
+ * domains have been written. The output is written
+ * to a temporary file and renamed into place.
+ * @param {String} name - source name
+ * @param {stream.Readable} input - CSV contents
+ * @param {String} file - output path
+ * @param {Object} options
+ * @param {Number} options.count - rows to keep
+ * @returns {Promise<Object>} {source, count, warnings}
+ */
+
+async function ingest(name, input, file, options) {
+  assert(input && typeof input.pipe === 'function');
+  assert(typeof file === 'string');
+  assert(options && (options.count >>> 0) === options.count);
+
+  const parser = new Parser(name, options);
+  const tmp = `${file}.tmp`;
+  const output = fs.createWriteStream(tmp);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const write = async (line) => {
+    if (!output.write(line + '\n'))
+      await once(output, 'drain');
+  };
+
+  try {
+    await write(JSON.stringify({ source: name, count: options.count }));
+
+    for await (const line of lines) {
+      const domain = parser.push(line);
+
+      if (domain)
+        await write(JSON.stringify(domain));
+
+      if (parser.done)
+        break;
+    }
+
+    lines.close();
+    input.destroy();
+
+    parser.finish();
+
+    output.end();
+    await once(output, 'finish');
+  } catch (e) {
+    output.destroy();
+    fs.unlinkSync(tmp);
+    throw e;
+  }
+
+  fs.renameSync(tmp, file);
+
+  return {
+    source: name,
+    count: parser.total,
+    warnings: parser.warnings
+  };
+}
+
+/**
+ * Ranking
+ *
+ * A ranking written by ingest(), read lazily. The first
+ * line is `{"source", "count"}`, followed by one JSON
+ * string per domain in rank order. Every iteration
+ * reads the file again, and stopping early (e.g. at
+ * the cutoff) closes it.
+ */
+
+class Ranking {
+  constructor(file) {
+    assert(typeof file === 'string');
+
+    this.file = file;
+    this.source = null;
+    this.count = 0;
+
+    for (const header of lines(file)) {
+      const json = JSON.parse(header);
+
+      assert(json && typeof json.source === 'string');
+      assert((json.count >>> 0) === json.count);
+
+      this.source = json.source;
+      this.count = json.count;
+
+      break;
+    }
+
+    if (!this.source)
+      throw new Error(`Empty ranking: ${file}.`);
+  }
+
+  *[Symbol.iterator]() {
+    let header = true;
+
+    for (const line of lines(this.file)) {
+      if (header) {
+        header = false;
+        continue;
+      }
+
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Open a ranking written by ingest().
+ * @param {String} file
+ * @returns {Ranking}
+ */
+
+function open(file) {
+  return new Ranking(file);
+}
+
+/*
+ * Helpers
+ */
+
+function *lines(file) {
+  const fd = fs.openSync(file, 'r');
+  const chunk = Buffer.allocUnsafe(1 << 16);
+  const decoder = new StringDecoder('utf8');
+
+  let rest = '';
+
+  try {
+    for (;;) {
+      const size = fs.readSync(fd, chunk, 0, chunk.length, null);
+
+      if (size === 0)
+        break;
+
+      const items = (rest + decoder.write(chunk.slice(0, size))).split('\n');
+
+      rest = items.pop();
+
+      for (const line of items) {
+        if (line.length > 0)
+          yield line;
+      }
+    }
+
+    rest += decoder.end();
+
+    if (rest.length > 0)
+      yield rest;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Split a CSV row (RFC 4180). Quoted fields may contain
+// commas and doubled quotes, but not line breaks.
+function splitFields(line) {
+  const items = [];
+
+  let i = 0;
+
+  for (;;) {
+    while (line[i] === ' ' || line[i] === '\t')
+      i += 1;
+
+    let field = '';
+
+    if (line[i] === '"') {
+      i += 1;
+
+      for (;;) {
+        const j = line.indexOf('"', i);
+
+        if (j === -1) {
+          field += line.slice(i);
+          i = line.length;
+          break;
+        }
+
+        field += line.slice(i, j);
+        i = j + 1;
+
+        if (line[i] !== '"')
+          break;
+
+        field += '"';
+        i += 1;
+      }
+
+      const j = line.indexOf(',', i);
+
+      i = j === -1 ? line.length : j;
+    } else {
+      const j = line.indexOf(',', i);
+      const end = j === -1 ? line.length : j;
+
+      field = line.slice(i, end).trim();
+      i = end;
+    }
+
+    items.push(field);
+
+    if (i >= line.length)
+      break;
+
+    i += 1;
+  }
+
+  return items;
+}
+
+function missing(start, end) {
+  if (end - start === 1)
+    return `rank ${start} is missing`;
+
+  return `ranks ${start}-${end - 1} are missing`;
+}
+
+/*
+ * Expose
+ */
+
+exports.sources = sources;
+exports.normalize = normalize;
+exports.splitFields = splitFields;
+exports.Parser = Parser;
+exports.parse = parse;
+exports.ingest = ingest;
+exports.Ranking = Ranking;
+exports.open = open;
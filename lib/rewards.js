@@ -0,0 +1,399 @@
+'use strict';
+
+const assert = require('assert');
+const Policy = require('./policy');
+const floor = Math.floor;
+
+/*
+ * Constants
+ */
+
+// Flags as written to names.db.
+const flags = {
+  ROOT: 1,
+  TOP100: 2,
+  CUSTOM: 4,
+  EMBARGOED: 8
+};
+
+// Values are in dollarydoos.
+const COIN = 1e6;
+
+/**
+ * Rewards
+ *
+ * Computes the claim reward of every reserved name.
+ */
+
+class Rewards {
+  constructor(names, options) {
+    assert(Array.isArray(names));
+
+    this.policy = new Policy();
+    this.values = new Map();
+    this.items = new Map();
+    this.domains = new Map();
+
+    this.names = 0;
+    this.roots = 0;
+    this.top100 = 0;
+    this.embargoed = 0;
+    this.embargoedRoots = 0;
+
+    this.nameValue = 0;
+    this.rootValue = 0;
+    this.topValue = 0;
+
+    if (options)
+      this.fromOptions(options);
+
+    this.init(names);
+  }
+
+  fromOptions(options) {
+    assert(options && typeof options === 'object');
+
+    if (options.policy != null) {
+      if (options.policy instanceof Policy)
+        this.policy = options.policy;
+      else
+        this.policy = new Policy(options.policy);
+    }
+
+    // [domain, coins] pairs, see names/values.json.
+    if (options.values != null) {
+      this.values.clear();
+
+      for (const [domain, value] of options.values) {
+        assert(typeof domain === 'string');
+        assert(Number.isSafeInteger(value) && value >= 0);
+        this.values.set(domain, value * COIN);
+      }
+    }
+
+    return this;
+  }
+
+  init(names) {
+    for (const {name, domain, rank} of names) {
+      assert(typeof name === 'string');
+      assert(typeof domain === 'string');
+      assert(Number.isSafeInteger(rank));
+
+      const item = { name, domain, rank, flags: this.flagsOf(domain, rank) };
+
+      this.items.set(name, item);
+      this.domains.set(domain, item);
+
+      this.names += 1;
+
+      if (item.flags & flags.ROOT)
+        this.roots += 1;
+
+      if (item.flags & flags.TOP100)
+        this.top100 += 1;
+
+      if (item.flags & flags.EMBARGOED) {
+        this.embargoed += 1;
+        if (item.flags & flags.ROOT)
+          this.embargoedRoots += 1;
+      }
+    }
+
+    const {policy} = this;
+
+    this.nameValue = divide(policy.share('name'), this.names - this.embargoed);
+    this.rootValue = divide(policy.share('root'),
+                            this.roots - this.embargoedRoots);
+    this.topValue = divide(policy.share('top100'), this.top100);
+
+    return this;
+  }
+
+  static fromValid(json, options) {
+    assert(json && typeof json === 'object');
+
+    const names = [];
+
+    for (const name of Object.keys(json)) {
+      const [tld, rank] = json[name];
+
+      names.push({
+        name,
+        domain: tld ? `${name}.${tld}` : name,
+        rank
+      });
+    }
+
+    return new this(names, options);
+  }
+
+  flagsOf(domain, rank) {
+    let bits = 0;
+
+    if (rank === 0)
+      bits |= flags.ROOT;
+
+    if (this.policy.isTop100(domain, rank))
+      bits |= flags.TOP100;
+
+    if (this.values.has(domain))
+      bits |= flags.CUSTOM;
+
+    if (this.policy.embargoes.has(domain))
+      bits |= flags.EMBARGOED;
+
+    return bits;
+  }
+
+  customOf(domain) {
+    const value = this.values.get(domain);
+
+    if (value == null)
+      return -1;
+
+    return value;
+  }
+
+  get(name) {
+    assert(typeof name === 'string');
+
+    name = name.toLowerCase();
+
+    if (name.length > 0 && name[name.length - 1] === '.')
+      name = name.slice(0, -1);
+
+    const item = this.items.get(name) || this.domains.get(name);
+
+    if (!item)
+      return null;
+
+    return this.breakdown(item);
+  }
+
+  breakdown(item) {
+    const {name, domain, rank} = item;
+    const bits = item.flags;
+
+    const result = {
+      name,
+      domain,
+      rank,
+      flags: bits,
+      base: this.nameValue,
+      root: bits & flags.ROOT ? this.rootValue : 0,
+      top: bits & flags.TOP100 ? this.topValue : 0,
+      custom: bits & flags.CUSTOM ? this.values.get(domain) : 0,
+      embargoed: (bits & flags.EMBARGOED) !== 0,
+      excluded: 0,
+      value: 0
+    };
+
+    const value = result.base + result.root + result.top + result.custom;
+
+    // Embargoed names are reserved, but pay nothing.
+    if (result.embargoed)
+      result.excluded = value;
+    else
+      result.value = value;
+
+    return result;
+  }
+
+  *breakdowns() {
+    for (const item of this.items.values())
+      yield this.breakdown(item);
+  }
+
+  unsatisfied() {
+    const missing = [];
+
+    for (const domain of this.values.keys()) {
+      if (!this.domains.has(domain))
+        missing.push(domain);
+    }
+
+    return missing.sort();
+  }
+
+  totals() {
+    const count = {
+      names: this.names,
+      root: this.roots,
+      top100: this.top100,
+      custom: 0,
+      embargoed: this.embargoed
+    };
+
+    const value = {
+      base: 0,
+      root: 0,
+      top: 0,
+      custom: 0,
+      extra: this.policy.extra,
+      excluded: 0,
+      total: 0
+    };
+
+    for (const result of this.breakdowns()) {
+      if (result.flags & flags.CUSTOM)
+        count.custom += 1;
+
+      if (result.embargoed) {
+        value.excluded += result.excluded;
+        continue;
+      }
+
+      value.base += result.base;
+      value.root += result.root;
+      value.top += result.top;
+      value.custom += result.custom;
+    }
+
+    value.total = value.base
+                + value.root
+                + value.top
+                + value.custom
+                + value.extra;
+
+    // What the shares come to before rounding,
+    // less what the rounded values pay out.
+    const burned = this.policy.total
+      - this.nameValue * (this.names - this.embargoed)
+      - this.rootValue * (this.roots - this.embargoedRoots)
+      - this.topValue * this.top100;
+
+    return {
+      values: {
+        name: this.nameValue,
+        root: this.rootValue,
+        top: this.topValue
+      },
+      count,
+      value,
+      burned
+    };
+  }
+
+  /**
+   * Compare the computed payout to the one the policy
+   * expects, and list policy entries which do not apply.
+   * @returns {Object}
+   */
+
+  reconcile() {
+    const {policy} = this;
+    const totals = this.totals();
+    const computed = totals.value.total;
+
+    const unsatisfied = this.unsatisfied().map((domain) => {
+      return { domain, value: this.values.get(domain) };
+    });
+
+    const unknown = {
+      forceTop100: [...policy.forceTop100].filter(d => !this.domains.has(d)),
+      embargoes: [...policy.embargoes].filter(d => !this.domains.has(d))
+    };
+
+    return {
+      ok: computed === policy.expected && unsatisfied.length === 0,
+      version: policy.version,
+      expected: policy.expected,
+      computed,
+      difference: computed - policy.expected,
+      totals,
+      unsatisfied,
+      unknown
+    };
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function divide(value, count) {
+  if (count <= 0)
+    return 0;
+
+  return floor(value / count);
+}
+
+function toCoins(value) {
+  assert(Number.isSafeInteger(value));
+
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  const hi = floor(abs / COIN);
+  const lo = (abs % COIN).toString(10).padStart(6, '0');
+
+  return `${sign}${hi}.${lo}`;
+}
+
+/**
+ * Format a reconciliation report for humans.
+ * @param {Object} report - see Rewards#reconcile
+ * @returns {String}
+ */
+
+function format(report) {
+  const {totals, unsatisfied, unknown} = report;
+  const {count, value} = totals;
+  const out = [];
+
+  const line = (label, amount, note) => {
+    let ln = `  ${label.padEnd(11)}${toCoins(amount).padStart(20)}`;
+
+    if (note)
+      ln += ` (${note})`;
+
+    out.push(ln);
+  };
+
+  out.push(`Reward policy (version ${report.version}):`);
+
+  line('base:', value.base, `${count.names - count.embargoed} names`);
+  line('root:', value.root, `${count.root} TLDs`);
+  line('top 100:', value.top, `${count.top100} names`);
+  line('custom:', value.custom, `${count.custom} names`);
+  line('extra:', value.extra);
+  line('computed:', report.computed);
+  line('expected:', report.expected);
+  line('difference:', report.difference);
+  line('burned:', totals.burned, 'rounding');
+  line('embargoed:', value.excluded, `${count.embargoed} names, not paid`);
+
+  if (unsatisfied.length > 0) {
+    out.push('');
+    out.push('Custom values not satisfied:');
+
+    for (const {domain, value} of unsatisfied)
+      out.push(`  ${domain} (${toCoins(value)})`);
+  }
+
+  for (const key of ['forceTop100', 'embargoes']) {
+    if (unknown[key].length === 0)
+      continue;
+
+    out.push('');
+    out.push(`Unknown names in \`${key}\`:`);
+
+    for (const domain of unknown[key])
+      out.push(`  ${domain}`);
+  }
+
+  out.push('');
+  out.push(report.ok ? 'Policy reconciles.' : 'Policy does NOT reconcile.');
+
+  return out.join('\n');
+}
+
+/*
+ * Expose
+ */
+
+exports.flags = flags;
+exports.COIN = COIN;
+exports.Rewards = Rewards;
+exports.toCoins = toCoins;
+exports.format = format;
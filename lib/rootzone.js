@@ -0,0 +1,296 @@
+'use strict';
+
+const assert = require('assert');
+const wire = require('bns/lib/wire');
+const bnsUtil = require('bns/lib/util');
+const util = require('../util');
+const zonemd = require('./zonemd');
+const {types} = wire;
+
+/**
+ * Group the records of a root zone by TLD.
+ * @param {String|Record[]} text - zone file or parsed records
+ * @returns {Object} {serial, tlds}
+ */
+
+function read(text) {
+  const records = typeof text === 'string' ? zonemd.parse(text) : text;
+
+  assert(Array.isArray(records));
+
+  const glue = new Map();
+  const tlds = new Map();
+
+  let serial = -1;
+
+  for (const rr of records) {
+    const name = rr.name.toLowerCase();
+
+    switch (rr.type) {
+      case types.SOA: {
+        if (name === '.')
+          serial = rr.data.serial;
+        break;
+      }
+
+      case types.A:
+      case types.AAAA: {
+        if (!glue.has(name))
+          glue.set(name, new Set());
+
+        glue.get(name).add(rr.data.address);
+
+        break;
+      }
+
+      case types.NS:
+      case types.DS: {
+        if (bnsUtil.countLabels(name) !== 1)
+          break;
+
+        if (!tlds.has(name))
+          tlds.set(name, { name, ns: new Set(), ds: [] });
+
+        const item = tlds.get(name);
+
+        if (rr.type === types.NS)
+          item.ns.add(rr.data.ns.toLowerCase());
+        else
+          item.ds.push(rr.data.toJSON());
+
+        break;
+      }
+    }
+  }
+
+  for (const item of tlds.values()) {
+    item.glue = new Map();
+
+    for (const ns of item.ns)
+      item.glue.set(ns, glue.get(ns) || new Set());
+  }
+
+  return { serial, tlds };
+}
+
+/**
+ * Compare two root zone snapshots.
+ * @param {Object} a - result of read()
+ * @param {Object} b - result of read()
+ * @returns {Object} changelog
+ */
+
+function compare(a, b) {
+  assert(a && a.tlds instanceof Map);
+  assert(b && b.tlds instanceof Map);
+
+  const events = [];
+  const names = new Set([...a.tlds.keys(), ...b.tlds.keys()]);
+
+  for (const name of [...names].sort(util.compare)) {
+    const from = a.tlds.get(name);
+    const to = b.tlds.get(name);
+    const tld = name.slice(0, -1);
+
+    if (!from) {
+      events.push({ type: 'tld-added', tld, ns: [...to.ns] });
+      continue;
+    }
+
+    if (!to) {
+      events.push({ type: 'tld-removed', tld, ns: [...from.ns] });
+      continue;
+    }
+
+    const ns = compareSets(from.ns, to.ns);
+
+    if (ns.added.length > 0 || ns.removed.length > 0) {
+      events.push({
+        type: 'ns-changed',
+        tld,
+        added: ns.added,
+        removed: ns.removed
+      });
+    }
+
+    for (const [host, addrs] of to.glue) {
+      const prev = from.glue.get(host);
+
+      if (!prev)
+        continue;
+
+      const diff = compareSets(prev, addrs);
+
+      if (diff.added.length > 0 || diff.removed.length > 0) {
+        events.push({
+          type: 'glue-changed',
+          tld,
+          ns: host,
+          added: diff.added,
+          removed: diff.removed
+        });
+      }
+    }
+
+    const ds = compareDS(from.ds, to.ds);
+
+    if (ds)
+      events.push(Object.assign({ type: 'ds-changed', tld }, ds));
+  }
+
+  return {
+    from: a.serial,
+    to: b.serial,
+    summary: summarize(events),
+    events
+  };
+}
+
+/**
+ * Render a changelog as human-readable text.
+ * @param {Object} log
+ * @returns {String}
+ */
+
+function format(log) {
+  const out = [];
+
+  out.push(`Root zone changes (serial ${log.from} -> ${log.to}):`);
+  out.push('');
+
+  for (const event of log.events) {
+    const {tld} = event;
+
+    switch (event.type) {
+      case 'tld-added':
+        out.push(`+ ${tld}: TLD added`);
+        break;
+      case 'tld-removed':
+        out.push(`- ${tld}: TLD removed`);
+        break;
+      case 'ns-changed':
+        out.push(`~ ${tld}: nameservers`
+          + list(' +', event.added) + list(' -', event.removed));
+        break;
+      case 'glue-changed':
+        out.push(`~ ${tld}: glue for ${event.ns}`
+          + list(' +', event.added) + list(' -', event.removed));
+        break;
+      case 'ds-changed': {
+        const {added, removed} = event.kind === 'digest-change'
+          ? event.records
+          : event;
+
+        let line = `~ ${tld}: ${event.kind}`
+          + list(' +', added) + list(' -', removed);
+
+        if (event.algorithms) {
+          const {from, to} = event.algorithms;
+          line += ` (algorithms ${from.join(',') || '-'}`
+            + ` -> ${to.join(',') || '-'})`;
+        }
+
+        out.push(line);
+        break;
+      }
+    }
+  }
+
+  if (log.events.length === 0)
+    out.push('No changes.');
+
+  out.push('');
+
+  return out.join('\n');
+}
+
+/*
+ * Helpers
+ */
+
+function compareSets(a, b) {
+  const added = [];
+  const removed = [];
+
+  for (const item of b) {
+    if (!a.has(item))
+      added.push(item);
+  }
+
+  for (const item of a) {
+    if (!b.has(item))
+      removed.push(item);
+  }
+
+  return { added, removed };
+}
+
+function compareDS(a, b) {
+  const fromKeys = new Set(a.map(dsKey));
+  const toKeys = new Set(b.map(dsKey));
+
+  const diff = compareSets(fromKeys, toKeys);
+
+  if (diff.added.length === 0 && diff.removed.length === 0)
+    return null;
+
+  const fromTags = new Set(a.map(ds => ds.keyTag));
+  const toTags = new Set(b.map(ds => ds.keyTag));
+  const tags = compareSets(fromTags, toTags);
+
+  const fromAlgs = unique(a.map(ds => ds.algorithm));
+  const toAlgs = unique(b.map(ds => ds.algorithm));
+  const algorithms = fromAlgs.join(',') !== toAlgs.join(',')
+    ? { from: fromAlgs, to: toAlgs }
+    : null;
+
+  let kind = 'digest-change';
+
+  if (a.length === 0)
+    kind = 'signed';
+  else if (b.length === 0)
+    kind = 'unsigned';
+  else if (algorithms)
+    kind = 'algorithm-rollover';
+  else if (tags.added.length > 0 || tags.removed.length > 0)
+    kind = 'key-rollover';
+
+  return {
+    kind,
+    added: tags.added,
+    removed: tags.removed,
+    algorithms,
+    records: diff
+  };
+}
+
+function dsKey(ds) {
+  return `${ds.keyTag} ${ds.algorithm} ${ds.digestType} ${ds.digest}`;
+}
+
+function unique(items) {
+  return [...new Set(items)].sort((a, b) => a - b);
+}
+
+function summarize(events) {
+  const summary = Object.create(null);
+
+  for (const {type} of events)
+    summary[type] = (summary[type] || 0) + 1;
+
+  return summary;
+}
+
+function list(prefix, items) {
+  if (items.length === 0)
+    return '';
+  return `${prefix}${items.join(',')}`;
+}
+
+/*
+ * Expose
+ */
+
+exports.read = read;
+exports.compare = compare;
+exports.format = format;
@@ -0,0 +1,309 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('../util');
+const idna = require('./idna');
+const psl = require('./psl');
+
+/*
+ * Rules
+ */
+
+/**
+ * Reduce a ranked domain to its name, applying
+ * every rule which does not depend on other
+ * entries. Steps are pushed onto `trace` if
+ * one is passed in.
+ * @param {String} domain
+ * @param {Number} rank
+ * @param {Object} ctx - {policy, dictionaries, psl?}
+ * @param {Array?} trace
+ * @returns {Object} {domain, name, tld, suffix, reason}
+ */
+
+function reduce(domain_, rank, ctx, trace = null) {
+  assert(typeof domain_ === 'string');
+  assert(typeof rank === 'number');
+  assert(ctx && ctx.policy && ctx.dictionaries);
+
+  const {policy} = ctx;
+
+  // Convert internationalized labels to A-labels.
+  const idn = idna.toASCII(domain_);
+
+  if (idn.reason) {
+    step(trace, 'idna', false, idn.detail);
+    return {
+      domain: domain_,
+      name: null,
+      tld: null,
+      suffix: null,
+      reason: idn.reason
+    };
+  }
+
+  step(trace, 'idna', true, idn.domain !== domain_
+    ? `converted to ${idn.domain}`
+    : 'no conversion needed');
+
+  const parts = idn.domain.split('.');
+
+  // Strip leading `www`.
+  while (parts.length > 2 && parts[0] === 'www')
+    parts.shift();
+
+  assert(parts.length >= 2);
+
+  const domain = parts.join('.');
+
+  // Public suffix rule which matched, if used.
+  let suffix = null;
+
+  const reject = (rule, reason, detail) => {
+    step(trace, rule, false, detail);
+    return { domain, name: null, tld: null, suffix, reason };
+  };
+
+  step(trace, 'strip-www', true, domain !== idn.domain
+    ? `stripped to ${domain}`
+    : 'no leading www');
+
+  // Ignore plain `www`.
+  if (parts[0] === 'www')
+    return reject('plain-www', 'plain-www', 'name is `www`');
+
+  step(trace, 'plain-www', true, 'name is not `www`');
+
+  if (policy.suffixes === 'legacy') {
+    // Ignore deeply nested domains.
+    if (parts.length > 3)
+      return reject('nesting', 'deeply-nested', `${parts.length} labels`);
+
+    step(trace, 'nesting', true, `${parts.length} labels`);
+
+    // Third-level domain.
+    if (parts.length === 3) {
+      const [, sld, tld] = parts;
+
+      // Country Codes only (e.g. co.uk, com.cn).
+      if (!util.isCCTLD(tld)) {
+        return reject('third-level', 'deeply-nested',
+                      `\`${tld}\` is not a ccTLD`);
+      }
+
+      if (!policy.slds.has(sld)) {
+        return reject('third-level', 'deeply-nested',
+                      `\`${sld}.${tld}\` is not an allowed SLD`);
+      }
+
+      step(trace, 'third-level', true, `\`${sld}.${tld}\` is an allowed SLD`);
+    } else {
+      step(trace, 'third-level', true, 'second-level domain');
+    }
+  } else {
+    // Split off the registrable domain using
+    // the Public Suffix List.
+    const list = ctx.psl || psl.load();
+    const match = list.match(domain, policy.suffixes === 'private');
+
+    suffix = match.rule;
+
+    if (!match.registrable) {
+      return reject('suffix', 'public-suffix',
+                    `${domain} is a public suffix (${match.rule})`);
+    }
+
+    if (match.registrable !== domain) {
+      return reject('suffix', 'deeply-nested',
+                    `registrable domain is ${match.registrable}`);
+    }
+
+    step(trace, 'suffix', true, `matched \`${match.rule}\``);
+  }
+
+  // Get lowest-level name.
+  const name = parts.shift();
+  const tld = parts.join('.');
+
+  // Must match HNS standards.
+  if (!util.isHNS(name))
+    return reject('formatting', 'formatting', `\`${name}\` is not valid`);
+
+  step(trace, 'formatting', true, `\`${name}\` is valid`);
+
+  // Ignore single letter domains.
+  if (policy.oneLetter && name.length === 1)
+    return reject('one-letter', 'one-letter', 'single letter');
+
+  step(trace, 'one-letter', true, policy.oneLetter
+    ? `${name.length} letters`
+    : 'rule disabled');
+
+  // Use stricter rules after the threshold.
+  const strict = rank > policy.strict;
+
+  // Ignore two-letter domains.
+  if (strict && policy.twoLetter && name.length === 2)
+    return reject('two-letter', 'two-letter', `rank > ${policy.strict}`);
+
+  step(trace, 'two-letter', true, describe(policy.twoLetter, strict,
+    policy.strict, `${name.length} letters`));
+
+  // Ignore dictionary words ranked after
+  // their language's threshold.
+  const words = [];
+
+  for (const [lang, threshold] of policy.dictionaries) {
+    const dict = ctx.dictionaries.get(lang);
+
+    if (!dict)
+      throw new Error(`No word list for \`${lang}\`.`);
+
+    if (!dict.has(name))
+      continue;
+
+    if (rank > threshold) {
+      return reject('dictionary-word', `dictionary-word:${lang}`,
+                    `${dict.name} word, rank > ${threshold}`);
+    }
+
+    words.push(`${dict.name} word, rank <= ${threshold}`);
+  }
+
+  step(trace, 'dictionary-word', true, policy.dictionaries.size > 0
+    ? words.join(', ') || 'not a dictionary word'
+    : 'rule disabled');
+
+  return { domain, name, tld, suffix, reason: null };
+}
+
+/**
+ * Get the rejection reason for a name
+ * which collides with an existing entry.
+ * @param {Object} winner
+ * @returns {String}
+ */
+
+function conflict(winner) {
+  if (winner.rank === -2)
+    return 'existing-naming-project';
+
+  if (winner.rank === -1)
+    return 'trademarked';
+
+  return 'collision';
+}
+
+/**
+ * Run a single ranked domain through every rule
+ * used by compile(). `ctx.table` maps names to the
+ * reserved entries they would collide with.
+ * @param {String} domain
+ * @param {Number} rank
+ * @param {Object} ctx - {policy, blacklist, dictionaries, table}
+ * @returns {Object}
+ */
+
+function explain(domain, rank, ctx) {
+  assert(ctx && ctx.policy && ctx.blacklist && ctx.table);
+
+  const {cutoff} = ctx.policy;
+
+  const trace = [];
+  const result = {
+    domain,
+    rank,
+    name: null,
+    tld: null,
+    suffix: null,
+    reserved: false,
+    reason: null,
+    rule: null,
+    winner: null,
+    displaces: null,
+    trace
+  };
+
+  const decide = (reason, winner = null) => {
+    result.reason = reason;
+    result.rule = trace[trace.length - 1].rule;
+    result.winner = winner;
+    return result;
+  };
+
+  if (rank > cutoff) {
+    step(trace, 'cutoff', false, `rank > ${cutoff}`);
+    return decide('cutoff');
+  }
+
+  step(trace, 'cutoff', true, `rank <= ${cutoff}`);
+
+  const item = reduce(domain, rank, ctx, trace);
+
+  result.domain = item.domain;
+  result.name = item.name;
+  result.tld = item.tld;
+  result.suffix = item.suffix;
+
+  if (item.reason)
+    return decide(item.reason);
+
+  // Ignore blacklist.
+  if (ctx.blacklist.has(item.name)) {
+    step(trace, 'blacklist', false, `\`${item.name}\` is blacklisted`);
+    return decide('blacklist');
+  }
+
+  step(trace, 'blacklist', true, 'not blacklisted');
+
+  // Check for collisions.
+  const cache = ctx.table.get(item.name);
+
+  if (cache && cache.domain !== item.domain) {
+    if (cache.rank < rank) {
+      const reason = conflict(cache);
+      step(trace, 'collision', false,
+           `${reason} with ${cache.domain} (${cache.rank})`);
+      return decide(reason, cache);
+    }
+
+    step(trace, 'collision', true,
+         `outranks ${cache.domain} (${cache.rank})`);
+
+    result.displaces = cache;
+  } else {
+    step(trace, 'collision', true, 'no higher-ranked entry');
+  }
+
+  result.reserved = true;
+  result.rule = 'collision';
+
+  return result;
+}
+
+/*
+ * Helpers
+ */
+
+function step(trace, rule, passed, detail) {
+  if (trace)
+    trace.push({ rule, passed, detail });
+}
+
+function describe(enabled, strict, threshold, detail) {
+  if (!enabled)
+    return 'rule disabled';
+
+  if (!strict)
+    return `not applied at rank <= ${threshold}`;
+
+  return detail;
+}
+
+/*
+ * Expose
+ */
+
+exports.reduce = reduce;
+exports.conflict = conflict;
+exports.explain = explain;
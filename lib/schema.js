@@ -0,0 +1,159 @@
+'use strict';
+
+const assert = require('assert');
+
+/**
+ * Validate a JSON value against a schema.
+ *
+ * Only the subset of JSON Schema used by the files in
+ * names/ is understood: type (or a list of types), const,
+ * enum, properties, required, additionalProperties (false
+ * or a schema), propertyNames, items, minItems, uniqueItems,
+ * minimum and pattern.
+ *
+ * @param {Object} schema
+ * @param {*} json
+ * @param {String?} path - where `json` lives in its file
+ * @returns {String[]} errors, empty if valid
+ */
+
+function validate(schema, json, path = '') {
+  assert(schema && typeof schema === 'object');
+  assert(typeof path === 'string');
+
+  const errors = [];
+
+  check(schema, json, path, errors);
+
+  return errors;
+}
+
+/*
+ * Helpers
+ */
+
+function check(schema, value, path, errors) {
+  const where = path || '(root)';
+
+  if (schema.const !== undefined) {
+    if (value !== schema.const)
+      errors.push(`${where}: must be ${JSON.stringify(schema.const)}.`);
+    return;
+  }
+
+  if (schema.enum !== undefined) {
+    if (!schema.enum.includes(value)) {
+      const list = schema.enum.map(item => JSON.stringify(item)).join(', ');
+      errors.push(`${where}: must be one of ${list}.`);
+    }
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some(type => isType(value, type))) {
+      const list = types.map(type => `${article(type)} ${type}`);
+      errors.push(`${where}: must be ${list.join(' or ')}.`);
+      return;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      errors.push(`${where}: must be at least ${schema.minimum}.`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+      errors.push(`${where}: ${JSON.stringify(value)} is not allowed.`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      errors.push(`${where}: must have at least ${schema.minItems} items.`);
+
+    if (schema.uniqueItems) {
+      const seen = new Set();
+
+      for (const item of value) {
+        const key = JSON.stringify(item);
+
+        if (seen.has(key))
+          errors.push(`${where}: duplicate item ${key}.`);
+
+        seen.add(key);
+      }
+    }
+
+    if (schema.items !== undefined) {
+      for (let i = 0; i < value.length; i++)
+        check(schema.items, value[i], `${path}[${i}]`, errors);
+    }
+  }
+
+  if (isType(value, 'object')) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key))
+        errors.push(`${where}: missing \`${key}\`.`);
+    }
+
+    for (const key of Object.keys(value)) {
+      const child = path ? `${path}.${key}` : key;
+
+      if (schema.propertyNames !== undefined) {
+        const before = errors.length;
+
+        check(schema.propertyNames, key, child, errors);
+
+        if (errors.length > before)
+          continue;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        check(properties[key], value[key], child, errors);
+        continue;
+      }
+
+      if (schema.additionalProperties === false)
+        errors.push(`${child}: unknown field.`);
+      else if (isType(schema.additionalProperties, 'object'))
+        check(schema.additionalProperties, value[key], child, errors);
+    }
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null
+        && typeof value === 'object'
+        && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isSafeInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    default:
+      throw new Error(`Unsupported schema type: ${type}.`);
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+/*
+ * Expose
+ */
+
+exports.validate = validate;
@@ -0,0 +1,265 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('../util');
+const rules = require('./rules');
+const trademarks = require('./trademarks');
+const {Rewards} = require('./rewards');
+
+/*
+ * Constants
+ */
+
+const kinds = {
+  CUSTOM: 'custom',
+  TRADEMARK: 'trademark'
+};
+
+// Ranks given to each kind by compile().
+const RANKS = {
+  [kinds.CUSTOM]: -2,
+  [kinds.TRADEMARK]: -1
+};
+
+/**
+ * Validate a proposed naming project or trademark entry.
+ * @param {Object} entry - {kind, name, domain, address, value}
+ * @param {Object} ctx - {blacklist, rtld, custom, trademarks, valid?}
+ * @returns {Object[]} checks, as {check, passed, detail}
+ */
+
+function check(entry, ctx) {
+  assert(entry && typeof entry === 'object');
+  assert(ctx && ctx.blacklist && ctx.rtld && ctx.custom && ctx.trademarks);
+  assert(RANKS[entry.kind] != null);
+
+  const {name, domain, address} = entry;
+  const checks = [];
+
+  const push = (check, passed, detail) => {
+    checks.push({ check, passed, detail });
+  };
+
+  if (util.isHNS(name))
+    push('name', true, `\`${name}\` is a valid HNS name`);
+  else
+    push('name', false, `\`${name}\` is not a valid HNS name`);
+
+  const labels = domain.split('.');
+
+  if (!isDomain(domain))
+    push('domain', false, `${domain} is not a valid domain`);
+  else if (labels.length < 2)
+    push('domain', false, `${domain} is not a registered domain`);
+  else if (labels[0] !== name)
+    push('domain', false, `${domain} does not start with \`${name}\``);
+  else
+    push('domain', true, `${domain} is a valid domain`);
+
+  if (entry.kind === kinds.TRADEMARK) {
+    if (address == null)
+      push('address', true, 'no address given');
+    else if (trademarks.isAddress(address))
+      push('address', true, `${address} is a valid address`);
+    else
+      push('address', false, `${address} is not a valid hs1 address`);
+  }
+
+  const existing = [];
+
+  for (const [kind, entries] of [[kinds.CUSTOM, ctx.custom],
+                                 [kinds.TRADEMARK, ctx.trademarks]]) {
+    for (const [n, d] of entries) {
+      if (n === name || d === domain)
+        existing.push(`${n} (${d}, ${kind})`);
+    }
+  }
+
+  if (existing.length > 0)
+    push('duplicate', false, `already listed as ${existing.join(', ')}`);
+  else
+    push('duplicate', true, 'not listed yet');
+
+  if (ctx.blacklist.has(name))
+    push('blacklist', false, `\`${name}\` is blacklisted`);
+  else
+    push('blacklist', true, `\`${name}\` is not blacklisted`);
+
+  // Root names always belong to their TLD. compile()
+  // would hand them to the entry and break the rewards.
+  if (isRoot(name, ctx))
+    push('root', false, `\`${name}\` is a root TLD`);
+  else
+    push('root', true, `\`${name}\` is not a root TLD`);
+
+  return checks;
+}
+
+/**
+ * Preview the effect of adding an entry on the
+ * current build. Custom and trademark entries are
+ * inserted before everything else, so the only
+ * entry affected is the one holding the name.
+ * @param {Object} entry - {kind, name, domain, address, value}
+ * @param {Object} ctx - {valid, invalid, values, policy}
+ * @returns {Object}
+ */
+
+function preview(entry, ctx) {
+  assert(entry && typeof entry === 'object');
+  assert(ctx && ctx.valid && ctx.invalid && ctx.values);
+
+  const {name, domain} = entry;
+  const rank = RANKS[entry.kind];
+  const tld = domain.split('.').slice(1).join('.');
+
+  const names = [];
+
+  let holder = null;
+
+  for (const key of Object.keys(ctx.valid)) {
+    const [sld, r, collisions] = ctx.valid[key];
+    const item = {
+      name: key,
+      domain: sld ? `${key}.${sld}` : key,
+      rank: r,
+      collisions
+    };
+
+    if (key === name) {
+      holder = item;
+      continue;
+    }
+
+    names.push(item);
+  }
+
+  // A root name cannot be taken: the
+  // entry itself is what gets rejected.
+  if (holder && holder.rank === 0) {
+    const before = Rewards.fromValid(ctx.valid, {
+      policy: ctx.policy,
+      values: ctx.values
+    });
+
+    return {
+      entry: null,
+      holder: before.get(name),
+      collisions: {
+        before: holder.collisions,
+        after: holder.collisions
+      },
+      rejected: [{
+        domain,
+        rank,
+        reason: rules.conflict(holder),
+        was: null
+      }],
+      values: {
+        name: [before.nameValue, before.nameValue],
+        root: [before.rootValue, before.rootValue],
+        top: [before.topValue, before.topValue]
+      },
+      before: before.reconcile(),
+      after: before.reconcile()
+    };
+  }
+
+  const added = { name, domain, rank, tld, collisions: 0 };
+
+  // Everything which lost to the old holder
+  // now loses to the new entry instead.
+  if (holder)
+    added.collisions = holder.collisions + 1;
+
+  names.push(added);
+
+  const values = ctx.values.slice();
+
+  if (entry.value != null)
+    values.push([domain, entry.value]);
+
+  const before = Rewards.fromValid(ctx.valid, {
+    policy: ctx.policy,
+    values: ctx.values
+  });
+
+  const after = new Rewards(names, {
+    policy: ctx.policy,
+    values
+  });
+
+  const rejected = [];
+
+  if (holder) {
+    rejected.push({
+      domain: holder.domain,
+      rank: holder.rank,
+      reason: rules.conflict(added),
+      was: null
+    });
+  }
+
+  for (const [d, r, reason, winner] of ctx.invalid) {
+    if (!winner || !holder || winner[0] !== holder.domain)
+      continue;
+
+    rejected.push({
+      domain: d,
+      rank: r,
+      reason: rules.conflict(added),
+      was: reason
+    });
+  }
+
+  return {
+    entry: after.get(name),
+    holder: holder ? before.get(name) : null,
+    collisions: {
+      before: holder ? holder.collisions : 0,
+      after: added.collisions
+    },
+    rejected,
+    values: {
+      name: [before.nameValue, after.nameValue],
+      root: [before.rootValue, after.rootValue],
+      top: [before.topValue, after.topValue]
+    },
+    before: before.reconcile(),
+    after: after.reconcile()
+  };
+}
+
+/*
+ * Helpers
+ */
+
+function isRoot(name, ctx) {
+  if (ctx.rtld.has(name))
+    return true;
+
+  if (ctx.valid && ctx.valid[name])
+    return ctx.valid[name][1] === 0;
+
+  return false;
+}
+
+function isDomain(domain) {
+  if (domain.length === 0 || domain.length > 253)
+    return false;
+
+  for (const label of domain.split('.')) {
+    if (!/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label))
+      return false;
+  }
+
+  return true;
+}
+
+/*
+ * Expose
+ */
+
+exports.kinds = kinds;
+exports.check = check;
+exports.preview = preview;
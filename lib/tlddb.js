@@ -0,0 +1,208 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('bfile');
+const bio = require('bufio');
+const Resource = require('namebase-hsd/lib/dns/resource');
+const util = require('../util');
+
+/**
+ * TLDDB
+ *
+ * Reader for `build/tld.db`:
+ *
+ *   u32     count
+ *   u8      name size
+ *   [count] u8 name length, ascii name (zero padded
+ *           to name size), u32 offset (sorted by name)
+ *   [count] u16 length, serialized resource
+ */
+
+class TLDDB {
+  constructor(data) {
+    assert(Buffer.isBuffer(data));
+    assert(data.length >= 5);
+
+    this.data = data;
+    this.size = bio.readU32(data, 0);
+    this.nameSize = data[4];
+    this.width = 1 + this.nameSize + 4;
+
+    assert(data.length >= 5 + this.size * this.width);
+  }
+
+  static decode(data) {
+    return new this(data);
+  }
+
+  static fromFile(file) {
+    return new this(fs.readFileSync(file));
+  }
+
+  _name(index) {
+    const pos = 5 + index * this.width;
+    const len = this.data[pos];
+
+    assert(len <= this.nameSize);
+
+    return this.data.toString('ascii', pos + 1, pos + 1 + len);
+  }
+
+  _offset(index) {
+    const pos = 5 + index * this.width + 1 + this.nameSize;
+    return bio.readU32(this.data, pos);
+  }
+
+  _blob(pos) {
+    const len = bio.readU16(this.data, pos);
+    return this.data.slice(pos + 2, pos + 2 + len);
+  }
+
+  _find(name) {
+    let start = 0;
+    let end = this.size - 1;
+
+    while (start <= end) {
+      const index = (start + end) >>> 1;
+      const cmp = util.compare(this._name(index), name);
+
+      if (cmp === 0)
+        return this._offset(index);
+
+      if (cmp < 0)
+        start = index + 1;
+      else
+        end = index - 1;
+    }
+
+    return -1;
+  }
+
+  has(name) {
+    return this._find(normalize(name)) !== -1;
+  }
+
+  getRaw(name) {
+    const pos = this._find(normalize(name));
+
+    if (pos === -1)
+      return null;
+
+    return this._blob(pos);
+  }
+
+  get(name) {
+    const raw = this.getRaw(name);
+
+    if (!raw)
+      return null;
+
+    return Resource.decode(raw);
+  }
+
+  getJSON(name) {
+    const res = this.get(name);
+
+    if (!res)
+      return null;
+
+    return res.toJSON();
+  }
+
+  *names() {
+    for (let i = 0; i < this.size; i++)
+      yield this._name(i);
+  }
+
+  *entries() {
+    for (let i = 0; i < this.size; i++)
+      yield [this._name(i), this._blob(this._offset(i))];
+  }
+
+  *resources() {
+    for (const [name, raw] of this.entries())
+      yield [name, Resource.decode(raw)];
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Compare every entry against the base64
+   * representation (`build/tld.json`).
+   * @param {Object} json
+   * @returns {String[]} errors
+   */
+
+  verify(json) {
+    assert(json && typeof json === 'object');
+
+    const map = readJSON(json);
+    const errors = [];
+
+    let last = null;
+
+    for (const [name, raw] of this.entries()) {
+      if (last != null && util.compare(last, name) >= 0)
+        errors.push(`Name table not sorted at ${name}.`);
+
+      last = name;
+
+      const expect = map.get(name);
+
+      if (!expect) {
+        errors.push(`Unknown entry: ${name}.`);
+        continue;
+      }
+
+      map.delete(name);
+
+      if (!raw.equals(expect))
+        errors.push(`Resource mismatch for ${name}.`);
+    }
+
+    for (const name of map.keys())
+      errors.push(`Missing entry: ${name}.`);
+
+    return errors;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function normalize(name) {
+  assert(typeof name === 'string');
+
+  name = name.toLowerCase();
+
+  if (name.length > 0 && name[name.length - 1] === '.')
+    name = name.slice(0, -1);
+
+  return name;
+}
+
+function readJSON(json) {
+  assert(json && typeof json === 'object');
+
+  const map = new Map();
+
+  for (const name of Object.keys(json))
+    map.set(name, Buffer.from(json[name], 'base64'));
+
+  return map;
+}
+
+/*
+ * Static
+ */
+
+TLDDB.readJSON = readJSON;
+
+/*
+ * Expose
+ */
+
+module.exports = TLDDB;
@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('assert');
+const bech32 = require('bcrypto/lib/encoding/bech32');
+
+/*
+ * Constants
+ */
+
+// Mainnet address prefix.
+const HRP = 'hs';
+
+/**
+ * Read names/trademarks.json.
+ *
+ * Each entry is `[name, domain, address, subdomain]`,
+ * where `address` is where the holder wants their
+ * reward paid (or null) and `subdomain` is set when
+ * the claim is for a subdomain of a registered domain.
+ *
+ * @param {Array[]} json
+ * @returns {Object} {items, errors}
+ */
+
+function read(json) {
+  assert(Array.isArray(json));
+
+  const items = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const entry of json) {
+    if (!Array.isArray(entry) || entry.length !== 4) {
+      errors.push(`Malformed entry: ${JSON.stringify(entry)}.`);
+      continue;
+    }
+
+    const [name, domain, address, subdomain] = entry;
+
+    if (typeof name !== 'string' || typeof domain !== 'string') {
+      errors.push(`Malformed entry: ${JSON.stringify(entry)}.`);
+      continue;
+    }
+
+    if (seen.has(name))
+      errors.push(`${name}: duplicate entry.`);
+
+    seen.add(name);
+
+    if (typeof subdomain !== 'boolean')
+      errors.push(`${name}: subdomain flag must be a boolean.`);
+
+    // Some entries use an empty string for "no address".
+    let addr = null;
+
+    if (address != null && address !== '') {
+      if (typeof address !== 'string' || !isAddress(address))
+        errors.push(`${name}: invalid address ${JSON.stringify(address)}.`);
+      else
+        addr = address.toLowerCase();
+    }
+
+    items.push({
+      name,
+      domain,
+      address: addr,
+      subdomain: subdomain === true
+    });
+  }
+
+  return { items, errors };
+}
+
+/**
+ * Test whether a string is a mainnet Handshake
+ * witness program address (p2wpkh or p2wsh).
+ * @param {String} str
+ * @returns {Boolean}
+ */
+
+function isAddress(str) {
+  assert(typeof str === 'string');
+
+  let hrp, version, hash;
+
+  try {
+    [hrp, version, hash] = bech32.decode(str);
+  } catch (e) {
+    return false;
+  }
+
+  if (hrp !== HRP || version !== 0)
+    return false;
+
+  return hash.length === 20 || hash.length === 32;
+}
+
+/**
+ * Build the contents of build/trademarks.json.
+ * @param {Object[]} items - see read()
+ * @returns {Object}
+ */
+
+function toJSON(items) {
+  const out = Object.create(null);
+
+  const sorted = items.slice().sort(compareName);
+
+  for (const {name, domain, address, subdomain} of sorted)
+    out[name] = { domain, address, subdomain };
+
+  return out;
+}
+
+/*
+ * Helpers
+ */
+
+function compareName(a, b) {
+  if (a.name < b.name)
+    return -1;
+
+  if (a.name > b.name)
+    return 1;
+
+  return 0;
+}
+
+/*
+ * Expose
+ */
+
+exports.HRP = HRP;
+exports.read = read;
+exports.isAddress = isAddress;
+exports.toJSON = toJSON;
@@ -0,0 +1,219 @@
+'use strict';
+
+const assert = require('assert');
+
+/*
+ * Constants
+ */
+
+const kinds = {
+  TIMESTAMP: 'timestamp',
+  NAME_COLLISION: 'name-collision',
+  REGISTRY: 'registry',
+  VERIFICATION: 'verification',
+  UNKNOWN: 'unknown'
+};
+
+// Zones which have not been regenerated
+// for this long are reported as stale.
+const STALE_AGE = 7 * 24 * 60 * 60;
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Timestamp formats seen in TLD apex TXT records.
+// Each returns a unix time or null. Times without
+// an offset are taken to be UTC.
+const formats = [
+  // "Generation Time: 1531166419"
+  // "nl zone update: ... (EPOCH 1531168201)"
+  // "processed at 2018-07-09 19:10:03 UTC (1531163403)"
+  [/(?:generation time:|epoch|\()\s*(\d{9,10})\b/i, m => Number(m[1])],
+
+  // "2018-07-09T20:03:01Z", "2018-07-09 22:01:01 +0200",
+  // "2018-04-16_11:41:46", "2016-10-21 21:14:26Z"
+  [/(\d{4})-(\d\d)-(\d\d)[T _]+(\d\d):(\d\d):(\d\d)\s*(Z|[+-]\d\d:?\d\d)?/,
+   m => utc(m[1], m[2], m[3], m[4], m[5], m[6], m[7])],
+
+  // "$Id: ua.ds,v 1.31 2016/06/28 13:40:52 root Exp root $"
+  [/(\d{4})\/(\d\d)\/(\d\d) (\d\d):(\d\d):(\d\d)/,
+   m => utc(m[1], m[2], m[3], m[4], m[5], m[6])],
+
+  // "No RRs processed [09/07/2018 23H00:02]"
+  [/\[(\d\d)\/(\d\d)\/(\d{4}) (\d\d)H(\d\d):(\d\d)\]/,
+   m => utc(m[3], m[2], m[1], m[4], m[5], m[6])],
+
+  // "CL zone generated Mon Jul  9 16:30:01 CLT 2018"
+  [/[a-z]{3} ([a-z]{3}) +(\d\d?) (\d\d):(\d\d):(\d\d)(?: [a-z]+)? (\d{4})/i,
+   m => utc(m[6], month(m[1]), m[2], m[3], m[4], m[5])],
+
+  // "2018070904" (SOA-style serial)
+  [/^(\d{4})(\d\d)(\d\d)\d\d$/, m => utc(m[1], m[2], m[3], 0, 0, 0)]
+];
+
+// Registry notices, contact details and legal text.
+const REGISTRY = new RegExp([
+  'whois',
+  'https?://',
+  'www\\.',
+  'regist',
+  '\\bnic\\b',
+  'copyright',
+  '\\(c\\)',
+  'cctld',
+  'top-level',
+  'zone file',
+  'managed by',
+  'belongs to',
+  'organisation:',
+  'remarks:'
+].join('|'));
+
+/**
+ * Classify the strings of a TXT record.
+ * @param {String[]} txt
+ * @returns {Object} {kind, text, time}
+ */
+
+function classify(txt) {
+  assert(Array.isArray(txt));
+
+  const text = txt.join(' ').trim();
+  const lower = text.toLowerCase();
+
+  const item = {
+    kind: kinds.UNKNOWN,
+    text: txt,
+    time: null
+  };
+
+  if (/icann\.org\/namecollision|127\.0\.53\.53/.test(lower)) {
+    item.kind = kinds.NAME_COLLISION;
+    return item;
+  }
+
+  if (/^v=spf1\b|^v=dkim1\b|^v=dmarc1\b|-(site-)?verification[=:]/
+      .test(lower)) {
+    item.kind = kinds.VERIFICATION;
+    return item;
+  }
+
+  const time = parseTime(text);
+
+  if (time != null) {
+    item.kind = kinds.TIMESTAMP;
+    item.time = time;
+    return item;
+  }
+
+  if (REGISTRY.test(lower)) {
+    item.kind = kinds.REGISTRY;
+    return item;
+  }
+
+  return item;
+}
+
+/**
+ * Summarize the TXT records of one TLD.
+ * @param {String} name
+ * @param {Array[]} records - TXT strings, one array per record
+ * @param {Object?} options
+ * @param {Number?} options.now - time of the crawl
+ * @param {Number?} options.stale - maximum age (seconds)
+ * @returns {Object}
+ */
+
+function analyze(name, records, options = {}) {
+  assert(typeof name === 'string');
+  assert(Array.isArray(records));
+
+  const now = options.now != null
+    ? options.now
+    : Math.floor(Date.now() / 1000);
+
+  const maxAge = options.stale != null
+    ? options.stale
+    : STALE_AGE;
+
+  const items = records.map(classify);
+  const times = items.filter(item => item.time != null)
+                     .map(item => item.time);
+
+  const result = {
+    name,
+    records: items,
+    updated: times.length > 0 ? Math.max(...times) : null,
+    age: null,
+    stale: false,
+    collision: items.some(item => item.kind === kinds.NAME_COLLISION)
+  };
+
+  if (result.updated != null) {
+    result.age = now - result.updated;
+    result.stale = result.age > maxAge;
+  }
+
+  return result;
+}
+
+/*
+ * Helpers
+ */
+
+function parseTime(text) {
+  for (const [regex, parse] of formats) {
+    const m = regex.exec(text);
+
+    if (!m)
+      continue;
+
+    const time = parse(m);
+
+    if (Number.isSafeInteger(time) && time > 0)
+      return time;
+  }
+
+  return null;
+}
+
+function utc(year, mon, day, hour, min, sec, offset) {
+  const ms = Date.UTC(Number(year), Number(mon) - 1, Number(day),
+                      Number(hour), Number(min), Number(sec));
+
+  if (!Number.isSafeInteger(ms))
+    return null;
+
+  let time = ms / 1000;
+
+  if (offset && offset !== 'Z') {
+    const sign = offset[0] === '-' ? -1 : 1;
+    const digits = offset.slice(1).replace(':', '');
+    const hours = Number(digits.slice(0, 2));
+    const mins = Number(digits.slice(2));
+
+    time -= sign * (hours * 60 + mins) * 60;
+  }
+
+  return time;
+}
+
+function month(name) {
+  const mon = MONTHS[name.toLowerCase()];
+
+  if (mon == null)
+    return NaN;
+
+  return mon + 1;
+}
+
+/*
+ * Expose
+ */
+
+exports.kinds = kinds;
+exports.STALE_AGE = STALE_AGE;
+exports.classify = classify;
+exports.analyze = analyze;
@@ -0,0 +1,389 @@
+'use strict';
+
+const assert = require('assert');
+const dnssec = require('bns/lib/dnssec');
+const wire = require('bns/lib/wire');
+const bnsUtil = require('bns/lib/util');
+const util = require('../util');
+const zonemd = require('./zonemd');
+const {types, typeToString, keyFlags, DSRecord} = wire;
+
+/*
+ * Constants
+ */
+
+// Root KSK trust anchors, pinned from:
+// https://data.iana.org/root-anchors/root-anchors.xml
+const ANCHORS = [
+  // KSK-2017
+  '. IN DS 20326 8 2 '
+    + 'e06d44b80b8f1d39a95c0b0d7c65d08458e880409bbc683457104237c7f8ec8d',
+  // KSK-2024
+  '. IN DS 38696 8 2 '
+    + '683d2d0acb8c9b712a1948b27f741219298d0a450d612c483af444a4c0fb2b16'
+];
+
+// Warn when the earliest signature expires sooner.
+const EXPIRY_WARNING = 2 * 24 * 60 * 60;
+
+/**
+ * Validate a signed root zone offline:
+ *
+ *   1. The apex DNSKEY RRset must be signed by a
+ *      key matching a pinned trust anchor.
+ *   2. Every DS and NSEC RRset (and the apex SOA
+ *      and NS RRsets) must carry a valid, current
+ *      RRSIG from the zone's keys.
+ *   3. Every delegation must be covered by the
+ *      NSEC chain, and the chain must be complete.
+ *      Delegation NS RRsets are not signed by the
+ *      parent, so their existence is proven by the
+ *      signed NSEC type bitmap instead.
+ *   4. The ZONEMD digest (RFC 8976) must match the
+ *      zone contents and the ZONEMD RRset must be
+ *      signed.
+ *
+ * @param {String|Record[]} text - zone file or parsed records
+ * @param {Object?} options
+ * @param {Number?} options.now - unix time to validate at
+ * @param {Boolean?} options.zonemd - require a ZONEMD record
+ * @param {String[]|Record[]?} options.anchors
+ * @returns {Object} report
+ */
+
+function check(text, options = {}) {
+  const records = typeof text === 'string' ? zonemd.parse(text) : text;
+
+  assert(Array.isArray(records));
+  assert(options && typeof options === 'object');
+
+  const now = options.now != null ? options.now : bnsUtil.now();
+  const anchors = (options.anchors || ANCHORS).map(readAnchor);
+
+  assert(Number.isSafeInteger(now) && now >= 0);
+
+  const report = {
+    valid: false,
+    time: now,
+    serial: -1,
+    anchors: [],
+    keys: [],
+    delegations: 0,
+    signatures: 0,
+    expires: -1,
+    zonemd: null,
+    errors: [],
+    warnings: []
+  };
+
+  const error = (msg) => {
+    report.errors.push(msg);
+  };
+
+  // Group records into RRsets and signatures.
+  const rrsets = new Map();
+  const sigs = new Map();
+
+  for (const rr of records) {
+    const name = rr.name.toLowerCase();
+
+    if (rr.type === types.RRSIG) {
+      const key = `${name} ${rr.data.typeCovered}`;
+
+      if (!sigs.has(key))
+        sigs.set(key, []);
+
+      sigs.get(key).push(rr);
+
+      continue;
+    }
+
+    const key = `${name} ${rr.type}`;
+
+    if (!rrsets.has(key))
+      rrsets.set(key, []);
+
+    rrsets.get(key).push(rr);
+  }
+
+  const get = (name, type) => rrsets.get(`${name} ${type}`) || null;
+
+  const soa = get('.', types.SOA);
+
+  if (soa)
+    report.serial = soa[0].data.serial;
+  else
+    error('Missing SOA record for the root zone.');
+
+  // Step 1: the apex DNSKEY RRset.
+  const keyset = get('.', types.DNSKEY);
+
+  if (!keyset) {
+    error('Missing DNSKEY RRset for the root zone.');
+    return report;
+  }
+
+  const ksks = [];
+
+  for (const rr of keyset) {
+    for (const anchor of anchors) {
+      if (rr.data.keyTag() !== anchor.keyTag)
+        continue;
+
+      if (rr.data.algorithm !== anchor.algorithm)
+        continue;
+
+      if (rr.data.flags & keyFlags.REVOKE)
+        continue;
+
+      const ds = dnssec.createDS(rr, anchor.digestType);
+
+      if (ds && ds.data.digest.equals(anchor.digest)) {
+        ksks.push(rr);
+        report.anchors.push(anchor.keyTag);
+      }
+    }
+  }
+
+  if (ksks.length === 0) {
+    error('No DNSKEY matches a pinned root trust anchor.');
+    return report;
+  }
+
+  const zsks = new Map();
+
+  for (const rr of keyset) {
+    report.keys.push({
+      keyTag: rr.data.keyTag(),
+      algorithm: rr.data.algorithm,
+      flags: rr.data.flags
+    });
+
+    if (rr.data.flags & keyFlags.ZONE)
+      zsks.set(rr.data.keyTag(), rr);
+  }
+
+  const verify = (name, type, keys) => {
+    const rrset = get(name, type);
+    const label = `${typeName(type)} for ${name}`;
+
+    if (!rrset) {
+      error(`Missing ${label}.`);
+      return false;
+    }
+
+    const list = sigs.get(`${name} ${type}`);
+
+    if (!list) {
+      error(`Missing RRSIG on ${label}.`);
+      return false;
+    }
+
+    let status = null;
+
+    for (const sig of list) {
+      const key = keys.get(sig.data.keyTag);
+
+      if (!key || !dnssec.verify(sig, key, rrset))
+        continue;
+
+      if (now < sig.data.inception) {
+        status = status || `not valid until ${date(sig.data.inception)}`;
+        continue;
+      }
+
+      if (now > sig.data.expiration) {
+        status = `expired on ${date(sig.data.expiration)}`;
+        continue;
+      }
+
+      report.signatures += 1;
+
+      if (report.expires === -1 || sig.data.expiration < report.expires)
+        report.expires = sig.data.expiration;
+
+      return true;
+    }
+
+    if (status)
+      error(`RRSIG on ${label} ${status}.`);
+    else
+      error(`Bogus RRSIG on ${label}.`);
+
+    return false;
+  };
+
+  const trusted = new Map(ksks.map(rr => [rr.data.keyTag(), rr]));
+
+  if (!verify('.', types.DNSKEY, trusted))
+    return report;
+
+  // Step 2: apex RRsets.
+  verify('.', types.SOA, zsks);
+  verify('.', types.NS, zsks);
+
+  // Step 4: the zone digest.
+  report.zonemd = zonemd.verify(records);
+  report.zonemd.signed = false;
+
+  if (report.zonemd.status === 'missing') {
+    if (options.zonemd !== false)
+      error(report.zonemd.error);
+  } else {
+    report.zonemd.signed = verify('.', zonemd.ZONEMD, zsks);
+
+    if (report.zonemd.status !== 'pass')
+      error(report.zonemd.error);
+  }
+
+  // Step 3: delegations and the NSEC chain.
+  const owners = new Set();
+
+  for (const key of rrsets.keys()) {
+    const [name, type] = key.split(' ');
+
+    if (Number(type) !== types.NS)
+      continue;
+
+    if (bnsUtil.countLabels(name) !== 1)
+      continue;
+
+    owners.add(name);
+  }
+
+  report.delegations = owners.size;
+
+  for (const name of owners) {
+    const ds = get(name, types.DS);
+
+    if (ds)
+      verify(name, types.DS, zsks);
+
+    const nsec = get(name, types.NSEC);
+
+    if (!nsec) {
+      error(`Delegation ${name} is not covered by the NSEC chain.`);
+      continue;
+    }
+
+    if (!verify(name, types.NSEC, zsks))
+      continue;
+
+    const rd = nsec[0].data;
+
+    if (!rd.hasType(types.NS))
+      error(`NSEC for ${name} does not prove its NS RRset.`);
+
+    if (rd.hasType(types.DS) !== (ds != null))
+      error(`NSEC for ${name} does not match its DS RRset.`);
+  }
+
+  walk(get, owners, verify, zsks, error);
+
+  if (report.expires !== -1 && report.expires - now < EXPIRY_WARNING)
+    report.warnings.push(`Signatures expire on ${date(report.expires)}.`);
+
+  report.valid = report.errors.length === 0;
+
+  return report;
+}
+
+/*
+ * Helpers
+ */
+
+function walk(get, owners, verify, zsks, error) {
+  const apex = get('.', types.NSEC);
+
+  if (!apex) {
+    error('Missing NSEC for the root zone.');
+    return;
+  }
+
+  verify('.', types.NSEC, zsks);
+
+  const expect = [...owners].sort(compareName);
+  const seen = new Set();
+
+  let name = '.';
+  let i = 0;
+
+  for (;;) {
+    const nsec = get(name, types.NSEC);
+
+    if (!nsec) {
+      error(`NSEC chain is broken at ${name}.`);
+      return;
+    }
+
+    const next = nsec[0].data.nextDomain.toLowerCase();
+
+    if (next === '.')
+      break;
+
+    if (seen.has(next)) {
+      error(`NSEC chain loops at ${next}.`);
+      return;
+    }
+
+    // Names the chain skips over were omitted
+    // from the signed zone (or inserted later).
+    if (expect[i] !== next) {
+      if (!owners.has(next))
+        error(`NSEC chain points to missing TLD ${next} (after ${name}).`);
+      else
+        error(`NSEC chain skips ${expect[i]} (after ${name}).`);
+      return;
+    }
+
+    seen.add(next);
+    name = next;
+    i += 1;
+  }
+
+  if (i !== expect.length)
+    error(`NSEC chain ends early (${i} of ${expect.length} delegations).`);
+}
+
+function readAnchor(anchor) {
+  if (typeof anchor === 'string')
+    anchor = wire.Record.fromString(anchor);
+
+  assert(anchor instanceof wire.Record);
+  assert(anchor.data instanceof DSRecord);
+
+  return anchor.data;
+}
+
+function compareName(a, b) {
+  const x = a.toLowerCase().split('.').reverse();
+  const y = b.toLowerCase().split('.').reverse();
+  const len = Math.min(x.length, y.length);
+
+  for (let i = 0; i < len; i++) {
+    const cmp = util.compare(x[i], y[i]);
+
+    if (cmp !== 0)
+      return cmp;
+  }
+
+  return x.length - y.length;
+}
+
+function typeName(type) {
+  if (type === zonemd.ZONEMD)
+    return 'ZONEMD';
+
+  return typeToString(type);
+}
+
+function date(time) {
+  return new Date(time * 1000).toISOString();
+}
+
+/*
+ * Expose
+ */
+
+exports.ANCHORS = ANCHORS;
+exports.check = check;
@@ -0,0 +1,266 @@
+'use strict';
+
+const assert = require('assert');
+const bio = require('bufio');
+const SHA384 = require('bcrypto/lib/sha384');
+const SHA512 = require('bcrypto/lib/sha512');
+const wire = require('bns/lib/wire');
+const {types, classes} = wire;
+
+/*
+ * Constants
+ */
+
+// bns does not know about ZONEMD (RFC 8976)
+// yet, so it is handled as an unknown type.
+const ZONEMD = 63;
+
+const schemes = {
+  SIMPLE: 1
+};
+
+const hashes = {
+  SHA384: 1,
+  SHA512: 2
+};
+
+const hashesByVal = {
+  [hashes.SHA384]: SHA384,
+  [hashes.SHA512]: SHA512
+};
+
+/**
+ * Parse a zone file which may contain ZONEMD
+ * records. These are rewritten to the generic
+ * RFC 3597 syntax before handing them to bns.
+ * @param {String} text
+ * @returns {Record[]}
+ */
+
+function parse(text) {
+  assert(typeof text === 'string');
+
+  text = text.replace(/(\sRRSIG\s+)ZONEMD\b/gi, `$1TYPE${ZONEMD}`);
+
+  text = text.replace(
+    /(\s)ZONEMD\s+(\d+)\s+(\d+)\s+(\d+)\s+(\([^)]*\)|[0-9a-f \t]+)/gi,
+    (_, space, serial, scheme, hash, digest) => {
+      const bw = bio.write();
+
+      bw.writeU32BE(Number(serial));
+      bw.writeU8(Number(scheme));
+      bw.writeU8(Number(hash));
+      bw.writeString(digest.replace(/[()\s]/g, ''), 'hex');
+
+      const raw = bw.render();
+
+      return `${space}TYPE${ZONEMD} \\# ${raw.length} ${raw.toString('hex')}`;
+    });
+
+  return wire.fromZone(text);
+}
+
+/**
+ * Decode the RDATA of a ZONEMD record.
+ * @param {Record} rr
+ * @returns {Object} {serial, scheme, hash, digest}
+ */
+
+function read(rr) {
+  assert(rr instanceof wire.Record);
+  assert(rr.type === ZONEMD);
+
+  const br = bio.read(rr.data.data);
+
+  return {
+    serial: br.readU32BE(),
+    scheme: br.readU8(),
+    hash: br.readU8(),
+    digest: br.readBytes(br.left())
+  };
+}
+
+/**
+ * Compute the SIMPLE zone digest (RFC 8976) over
+ * all records. The apex ZONEMD RRset and its
+ * signatures are excluded.
+ * @param {Record[]} records
+ * @param {String} origin
+ * @param {Number} hash - hash algorithm
+ * @returns {Buffer}
+ */
+
+function digest(records, origin, hash) {
+  assert(Array.isArray(records));
+  assert(typeof origin === 'string');
+
+  const alg = hashesByVal[hash];
+
+  if (!alg)
+    throw new Error(`Unsupported ZONEMD hash algorithm: ${hash}.`);
+
+  const apex = origin.toLowerCase();
+  const items = [];
+
+  for (const rr of records) {
+    if (rr.class !== classes.IN)
+      continue;
+
+    const name = rr.name.toLowerCase();
+
+    if (name === apex) {
+      if (rr.type === ZONEMD)
+        continue;
+
+      if (rr.type === types.RRSIG && rr.data.typeCovered === ZONEMD)
+        continue;
+    }
+
+    const canon = rr.deepClone().canonical();
+
+    items.push({
+      labels: labels(name),
+      type: rr.type,
+      rdata: canon.data.encode(),
+      raw: canon.encode()
+    });
+  }
+
+  items.sort(compare);
+
+  const ctx = alg.hash();
+
+  ctx.init();
+
+  for (let i = 0; i < items.length; i++) {
+    const {raw} = items[i];
+
+    // Identical records are only included once.
+    if (i > 0 && raw.equals(items[i - 1].raw))
+      continue;
+
+    ctx.update(raw);
+  }
+
+  return ctx.final();
+}
+
+/**
+ * Verify the apex ZONEMD records of a zone. Only
+ * the digest is checked here, the signature on the
+ * ZONEMD RRset is checked by lib/zonecheck.
+ * @param {Record[]} records
+ * @param {String?} origin
+ * @returns {Object}
+ */
+
+function verify(records, origin = '.') {
+  assert(Array.isArray(records));
+
+  const result = {
+    status: 'missing',
+    serial: -1,
+    scheme: -1,
+    hash: -1,
+    digest: null,
+    computed: null,
+    error: null
+  };
+
+  let soa = null;
+
+  const zonemds = [];
+
+  for (const rr of records) {
+    if (rr.name.toLowerCase() !== origin)
+      continue;
+
+    if (rr.type === types.SOA)
+      soa = rr;
+    else if (rr.type === ZONEMD)
+      zonemds.push(read(rr));
+  }
+
+  if (zonemds.length === 0) {
+    result.error = 'Zone has no ZONEMD record.';
+    return result;
+  }
+
+  result.status = 'fail';
+
+  // Use the first record with a scheme and
+  // algorithm we support (RFC 8976, 4.1).
+  const md = zonemds.find(md => md.scheme === schemes.SIMPLE
+                             && hashesByVal[md.hash] != null);
+
+  if (!md) {
+    result.error = 'No ZONEMD record uses a supported scheme and hash.';
+    return result;
+  }
+
+  result.serial = md.serial;
+  result.scheme = md.scheme;
+  result.hash = md.hash;
+  result.digest = md.digest.toString('hex');
+
+  if (!soa || soa.data.serial !== md.serial) {
+    result.error = 'ZONEMD serial does not match the SOA serial.';
+    return result;
+  }
+
+  const computed = digest(records, origin, md.hash);
+
+  result.computed = computed.toString('hex');
+
+  if (!computed.equals(md.digest)) {
+    result.error = 'Zone digest does not match the ZONEMD record.';
+    return result;
+  }
+
+  result.status = 'pass';
+
+  return result;
+}
+
+/*
+ * Helpers
+ */
+
+function labels(name) {
+  if (name === '.')
+    return [];
+
+  return name.slice(0, -1).split('.').reverse();
+}
+
+function compare(a, b) {
+  const len = Math.min(a.labels.length, b.labels.length);
+
+  for (let i = 0; i < len; i++) {
+    const cmp = Buffer.compare(Buffer.from(a.labels[i], 'binary'),
+                               Buffer.from(b.labels[i], 'binary'));
+
+    if (cmp !== 0)
+      return cmp;
+  }
+
+  if (a.labels.length !== b.labels.length)
+    return a.labels.length - b.labels.length;
+
+  if (a.type !== b.type)
+    return a.type - b.type;
+
+  return Buffer.compare(a.rdata, b.rdata);
+}
+
+/*
+ * Expose
+ */
+
+exports.ZONEMD = ZONEMD;
+exports.schemes = schemes;
+exports.hashes = hashes;
+exports.parse = parse;
+exports.read = read;
+exports.digest = digest;
+exports.verify = verify;
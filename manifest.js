@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const manifest = require('./lib/manifest');
+
+const MANIFEST_PATH = Path.resolve(__dirname, 'build', 'manifest.json');
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+
+if (args.some(arg => arg !== '--check')) {
+  console.error('Usage: ./manifest.js [--check]');
+  process.exit(1);
+}
+
+const json = manifest.create(__dirname);
+
+if (!check) {
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(json, null, 2) + '\n');
+  console.log('Wrote %d inputs and %d outputs to %s.',
+              Object.keys(json.inputs).length,
+              Object.keys(json.outputs).length,
+              Path.relative(__dirname, MANIFEST_PATH));
+  return;
+}
+
+// Compare the tree as it is (without rebuilding).
+// See ./verify.js for a full rebuild.
+if (!fs.existsSync(MANIFEST_PATH)) {
+  console.error('No manifest at %s; run ./rebuild or ./manifest.js first.',
+                Path.relative(__dirname, MANIFEST_PATH));
+  process.exit(1);
+}
+
+const expected = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+const errors = manifest.compare(expected, json);
+
+for (const err of errors)
+  console.error(err);
+
+if (errors.length > 0) {
+  process.exitCode = 1;
+  return;
+}
+
+console.log('Tree matches %s.', Path.relative(__dirname, MANIFEST_PATH));
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const {Crawler} = require('./lib/crawler');
+const namecollision = require('./lib/namecollision');
+const root = require('./build/root.json');
+
+const TXT_JSON = Path.resolve(__dirname, 'build', 'txt.json');
+const OUT_JSON = Path.resolve(__dirname, 'build', 'namecollision.json');
+
+const args = parseArgs(process.argv.slice(2));
+
+(async () => {
+  const sources = [];
+  const maps = [];
+
+  let failed = [];
+  let time = 0;
+
+  if (fs.existsSync(TXT_JSON)) {
+    const json = JSON.parse(fs.readFileSync(TXT_JSON, 'utf8'));
+
+    time = json.time;
+
+    sources.push('txt');
+    maps.push(namecollision.fromTXT(json));
+  } else if (!args.probe) {
+    console.error('No TXT crawl found, run ./crawl-txt.js first');
+    console.error('or pass --probe.');
+    process.exit(1);
+  }
+
+  if (args.probe) {
+    const names = args.names.length > 0
+      ? args.names.map(name => name.toLowerCase().replace(/\.?$/, '.'))
+      : Object.keys(root).sort();
+
+    const crawler = new Crawler(args.options);
+
+    await crawler.open();
+
+    console.log('Probing %d TLDs for %s..',
+      names.length, namecollision.INTERRUPTION_ADDRESS);
+
+    const result = await namecollision.probe(crawler, names);
+
+    await crawler.close();
+
+    sources.push('a');
+    maps.push(result.found);
+
+    time = Math.floor(Date.now() / 1000);
+
+    failed = result.failed;
+  }
+
+  const tlds = namecollision.merge(...maps);
+
+  for (const name of Object.keys(tlds)) {
+    const evidence = tlds[name].evidence.map(item => item.source);
+    console.log('%s: %s', name, [...new Set(evidence)].join(', '));
+  }
+
+  for (const name of failed)
+    console.log(`Could not lookup: ${name}`);
+
+  // Results are as old as the newest crawl.
+  const json = {
+    time,
+    sources,
+    failed,
+    tlds
+  };
+
+  fs.writeFileSync(OUT_JSON, JSON.stringify(json, null, 2) + '\n');
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
+
+function parseArgs(argv) {
+  const args = {
+    options: {},
+    probe: false,
+    names: []
+  };
+
+  const servers = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--probe':
+        args.probe = true;
+        break;
+      case '--server':
+        servers.push(value(argv, ++i));
+        break;
+      case '--concurrency':
+        args.options.concurrency = number(argv, ++i);
+        break;
+      case '--rate':
+        args.options.rate = number(argv, ++i, false);
+        break;
+      case '--timeout':
+        args.options.timeout = number(argv, ++i);
+        break;
+      default:
+        if (arg[0] === '-')
+          usage();
+        args.names.push(arg);
+        break;
+    }
+  }
+
+  if (servers.length > 0)
+    args.options.servers = servers;
+
+  return args;
+}
+
+function value(argv, i) {
+  if (i >= argv.length)
+    usage();
+
+  return argv[i];
+}
+
+function number(argv, i, integer = true) {
+  const num = Number(value(argv, i));
+
+  if (!Number.isFinite(num) || num <= 0)
+    usage();
+
+  if (integer && !Number.isSafeInteger(num))
+    usage();
+
+  return num;
+}
+
+function usage() {
+  console.error('Usage: ./name-collision.js [options] [tld...]');
+  console.error('');
+  console.error('  --probe               also probe for 127.0.53.53 A records');
+  console.error('  --server <ip[:port]>  resolver to query (repeatable)');
+  console.error('  --concurrency <n>     lookups in flight (default: 4)');
+  console.error('  --rate <n>            queries per second per server');
+  console.error('  --timeout <ms>        per-query timeout');
+  process.exit(1);
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Policy = require('./lib/policy');
+const {Rewards, toCoins, format} = require('./lib/rewards');
+
+const VALID = require('./build/valid.json');
+const VALUES = require('./names/values.json');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const totals = args.includes('--totals');
+const inputs = args.filter(arg => arg !== '--json' && arg !== '--totals');
+
+if (inputs.some(arg => arg[0] === '-') || (!totals && inputs.length === 0)) {
+  console.error('Usage: ./reward.js [--json] [--totals] [name...]');
+  process.exit(1);
+}
+
+const rewards = Rewards.fromValid(VALID, {
+  policy: new Policy(),
+  values: VALUES
+});
+
+const results = [];
+
+for (const input of inputs) {
+  const result = rewards.get(input);
+
+  if (!result) {
+    console.error('Not a reserved name: %s.', input);
+    process.exit(1);
+  }
+
+  results.push(result);
+}
+
+if (json) {
+  const out = totals
+    ? { names: results, totals: rewards.reconcile() }
+    : results;
+
+  console.log(JSON.stringify(out, null, 2));
+  return;
+}
+
+for (const result of results) {
+  console.log('%s (%s, rank=%d):', result.name, result.domain, result.rank);
+  console.log('  base:      %s', toCoins(result.base));
+
+  if (result.root)
+    console.log('  root:      %s', toCoins(result.root));
+
+  if (result.top)
+    console.log('  top 100:   %s', toCoins(result.top));
+
+  if (result.custom)
+    console.log('  custom:    %s', toCoins(result.custom));
+
+  if (result.embargoed)
+    console.log('  embargoed: -%s', toCoins(result.excluded));
+
+  console.log('  total:     %s HNS', toCoins(result.value));
+}
+
+if (totals) {
+  const report = rewards.reconcile();
+
+  if (results.length > 0)
+    console.log('');
+
+  console.log(format(report));
+
+  if (!report.ok)
+    process.exitCode = 1;
+}
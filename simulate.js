@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const compile = require('./lib/compile');
+const Policy = require('./lib/policy');
+const dictionary = require('./lib/dictionary');
+const ranking = require('./lib/ranking');
+
+const BLACKLIST = require('./names/blacklist.json');
+const CUSTOM = require('./names/custom.json');
+const RTLD = require('./names/rtld.json');
+const TRADEMARKS = require('./names/trademarks.json');
+const RANKING_PATH = Path.resolve(__dirname, 'names', 'ranking.ndjson');
+
+const USAGE = `Usage: ./simulate.js [options]
+
+Compile the reserved names under a modified policy and
+compare the result to the canonical policy.
+
+Options:
+  --policy <file>       JSON file of policy options
+  --cutoff <rank>       number of ranked domains to consider
+  --strict <rank>       rank after which stricter rules apply
+  --suffixes <mode>     legacy, icann or private (Public Suffix List)
+  --no-one-letter       allow single letter names
+  --no-two-letter       allow two-letter names after --strict
+  --dictionary <l>:<r>  reject words in language <l> ranked after <r>
+  --no-dictionary <l>   allow words in language <l>
+  --no-english-words    same as --no-dictionary en
+  --json                output JSON`;
+
+const options = Object.create(null);
+const args = process.argv.slice(2);
+
+let json = false;
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--policy':
+      Object.assign(options, JSON.parse(fs.readFileSync(args[++i], 'utf8')));
+      break;
+    case '--cutoff':
+      options.cutoff = uint(args[++i]);
+      break;
+    case '--strict':
+      options.strict = uint(args[++i]);
+      break;
+    case '--suffixes':
+      options.suffixes = args[++i];
+      if (!Policy.SUFFIXES.includes(options.suffixes))
+        usage();
+      break;
+    case '--no-one-letter':
+      options.oneLetter = false;
+      break;
+    case '--no-two-letter':
+      options.twoLetter = false;
+      break;
+    case '--dictionary': {
+      const [lang, rank] = String(args[++i]).split(':');
+      if (!dictionary.isLanguage(lang))
+        usage();
+      options.dictionaries = dictionaries(options);
+      options.dictionaries[lang] = uint(rank);
+      break;
+    }
+    case '--no-dictionary':
+      options.dictionaries = dictionaries(options);
+      delete options.dictionaries[args[++i]];
+      break;
+    case '--no-english-words':
+      options.dictionaries = dictionaries(options);
+      delete options.dictionaries.en;
+      break;
+    case '--json':
+      json = true;
+      break;
+    default:
+      usage(null, arg === '--help' ? 0 : 1);
+      break;
+  }
+}
+
+const inputs = {
+  blacklist: BLACKLIST,
+  custom: CUSTOM,
+  trademarks: TRADEMARKS,
+  rtld: RTLD,
+  ranking: ranking.open(RANKING_PATH),
+  dictionaries: dictionary.load()
+};
+
+const policy = Policy.fromOptions(options);
+
+if (policy.cutoff > inputs.ranking.count) {
+  usage(`The ranking has only ${inputs.ranking.count} entries,`
+    + ` cutoff is ${policy.cutoff}.`);
+}
+
+for (const lang of policy.dictionaries.keys()) {
+  if (!inputs.dictionaries.get(lang))
+    usage(`No word list for \`${lang}\` (see ./dictionary.js).`);
+}
+
+const base = compile(inputs, new Policy());
+const sim = compile(inputs, policy);
+
+const before = index(base.valid);
+const after = index(sim.valid);
+const added = [];
+const removed = [];
+const changed = [];
+
+for (const [name, item] of after) {
+  const prev = before.get(name);
+
+  if (!prev)
+    added.push(item);
+  else if (prev.domain !== item.domain)
+    changed.push([prev, item]);
+}
+
+for (const [name, item] of before) {
+  if (!after.has(name))
+    removed.push(item);
+}
+
+// Ranked domains which are treated differently.
+const outcomes = [];
+const prior = outcomesOf(base);
+
+for (const [rank, item] of outcomesOf(sim)) {
+  const prev = prior.get(rank);
+
+  if (!prev || prev.outcome === item.outcome)
+    continue;
+
+  outcomes.push({
+    domain: item.domain,
+    rank,
+    from: prev.outcome,
+    to: item.outcome,
+    suffix: item.suffix
+  });
+}
+
+const result = {
+  policy: policy.toJSON(),
+  canonical: summarize(base),
+  simulated: summarize(sim),
+  added: added.map(entry),
+  removed: removed.map(entry),
+  changed: changed.map(([prev, item]) => {
+    return { name: item.name, from: entry(prev), to: entry(item) };
+  }),
+  outcomes
+};
+
+if (json) {
+  console.log(JSON.stringify(result, null, 2));
+  return;
+}
+
+const {canonical, simulated} = result;
+
+console.log('Valid: %d -> %d', canonical.valid, simulated.valid);
+console.log('Invalid: %d -> %d', canonical.invalid, simulated.invalid);
+console.log('Top 100: %d -> %d', canonical.top100, simulated.top100);
+console.log('');
+
+const reasons = new Set([
+  ...Object.keys(canonical.reasons),
+  ...Object.keys(simulated.reasons)
+]);
+
+for (const reason of [...reasons].sort()) {
+  const a = canonical.reasons[reason] || 0;
+  const b = simulated.reasons[reason] || 0;
+
+  if (a !== b)
+    console.log('  %s: %d -> %d', reason, a, b);
+}
+
+console.log('');
+
+for (const {name, domain, rank} of result.added)
+  console.log('+ %s (%s, %d)', name, domain, rank);
+
+for (const {name, domain, rank} of result.removed)
+  console.log('- %s (%s, %d)', name, domain, rank);
+
+for (const {name, from, to} of result.changed) {
+  console.log('~ %s (%s, %d -> %s, %d)',
+              name, from.domain, from.rank, to.domain, to.rank);
+}
+
+if (outcomes.length > 0)
+  console.log('');
+
+for (const {domain, rank, from, to, suffix} of outcomes) {
+  if (suffix)
+    console.log('! %s (%d): %s -> %s [%s]', domain, rank, from, to, suffix);
+  else
+    console.log('! %s (%d): %s -> %s', domain, rank, from, to);
+}
+
+function uint(arg) {
+  if (!/^\d+$/.test(arg) || Number(arg) > 0xffffffff)
+    usage();
+
+  return Number(arg);
+}
+
+function usage(msg, code = 1) {
+  if (msg) {
+    console.error(msg);
+    console.error('');
+  }
+
+  console.error(USAGE);
+  process.exit(code);
+}
+
+function dictionaries(options) {
+  if (options.dictionaries)
+    return options.dictionaries;
+
+  return new Policy().toJSON().dictionaries;
+}
+
+function index(items) {
+  const map = new Map();
+
+  for (const item of items)
+    map.set(item.name, item);
+
+  return map;
+}
+
+function outcomesOf({valid, invalid}) {
+  const map = new Map();
+
+  for (const {domain, rank, suffix} of valid) {
+    if (rank > 0)
+      map.set(rank, { domain, outcome: 'reserved', suffix });
+  }
+
+  for (const {domain, rank, reason, suffix} of invalid) {
+    if (rank > 0)
+      map.set(rank, { domain, outcome: reason, suffix });
+  }
+
+  return map;
+}
+
+function entry({name, domain, rank}) {
+  return { name, domain, rank };
+}
+
+function summarize({valid, invalid, top100}) {
+  const reasons = Object.create(null);
+
+  for (const {reason} of invalid)
+    reasons[reason] = (reasons[reason] || 0) + 1;
+
+  return {
+    valid: valid.length,
+    invalid: invalid.length,
+    top100,
+    reasons
+  };
+}
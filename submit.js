@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Policy = require('./lib/policy');
+const submission = require('./lib/submission');
+const {toCoins} = require('./lib/rewards');
+
+const VALID = require('./build/valid.json');
+const INVALID = require('./build/invalid.json');
+const BLACKLIST = require('./names/blacklist.json');
+const RTLD = require('./names/rtld.json');
+const CUSTOM = require('./names/custom.json');
+const TRADEMARKS = require('./names/trademarks.json');
+const VALUES = require('./names/values.json');
+
+const args = parseArgs(process.argv.slice(2));
+
+const checks = submission.check(args.entry, {
+  blacklist: new Set(BLACKLIST),
+  rtld: new Set(RTLD),
+  custom: CUSTOM,
+  trademarks: TRADEMARKS,
+  valid: VALID
+});
+
+const passed = checks.every(item => item.passed);
+
+const impact = passed
+  ? submission.preview(args.entry, {
+    valid: VALID,
+    invalid: INVALID,
+    values: VALUES,
+    policy: new Policy()
+  })
+  : null;
+
+if (args.json) {
+  console.log(JSON.stringify({
+    entry: args.entry,
+    valid: passed,
+    checks,
+    impact
+  }, null, 2));
+} else {
+  print();
+}
+
+if (!passed)
+  process.exitCode = 1;
+
+function print() {
+  const {kind, name, domain} = args.entry;
+
+  console.log('Proposed %s: %s (%s)', kind, name, domain);
+
+  for (const {check, passed, detail} of checks) {
+    const status = passed ? 'pass' : 'FAIL';
+    console.log('  %s %s %s', check.padEnd(10), status, detail);
+  }
+
+  if (!impact)
+    return;
+
+  const {holder, collisions, rejected, values, before, after} = impact;
+
+  console.log('');
+
+  if (!impact.entry) {
+    console.log('Rejected: `%s` is held by the root TLD %s.',
+                name, holder.domain);
+    return;
+  }
+
+  if (holder) {
+    console.log('Takes `%s` from %s (rank %d).',
+                name, holder.domain, holder.rank);
+  } else {
+    console.log('`%s` is not reserved yet.', name);
+  }
+
+  console.log('Collisions: %d -> %d', collisions.before, collisions.after);
+
+  for (const {domain, rank, reason, was} of rejected) {
+    if (was)
+      console.log('  %s (%d): %s -> %s', domain, rank, was, reason);
+    else
+      console.log('  %s (%d): reserved -> %s', domain, rank, reason);
+  }
+
+  console.log('');
+  console.log('Rewards:');
+  console.log('  %s: %s', name, toCoins(impact.entry.value));
+
+  if (holder)
+    console.log('  %s: -%s', holder.domain, toCoins(holder.value));
+
+  for (const key of ['name', 'root', 'top']) {
+    const [from, to] = values[key];
+    console.log('  %s value: %s -> %s', key, toCoins(from), toCoins(to));
+  }
+
+  console.log('  total: %s -> %s (%s)',
+              toCoins(before.computed),
+              toCoins(after.computed),
+              toCoins(after.computed - before.computed));
+
+  if (!after.ok) {
+    console.log('');
+    console.log('The policy no longer reconciles (expected %s),',
+                toCoins(after.expected));
+    console.log('names/policy.json must be updated with this entry.');
+  }
+}
+
+function parseArgs(argv) {
+  const args = {
+    json: false,
+    entry: null
+  };
+
+  const rest = [];
+
+  let value = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '--json':
+        args.json = true;
+        break;
+      case '--value':
+        if (i + 1 >= argv.length)
+          usage();
+        value = Number(argv[++i]);
+        if (!Number.isSafeInteger(value) || value <= 0)
+          usage();
+        break;
+      default:
+        if (arg[0] === '-')
+          usage();
+        rest.push(arg);
+        break;
+    }
+  }
+
+  const [kind, name, domain, address] = rest;
+
+  if (!domain || rest.length > 4)
+    usage();
+
+  switch (kind) {
+    case submission.kinds.CUSTOM:
+      if (address != null)
+        usage();
+      break;
+    case submission.kinds.TRADEMARK:
+      if (value != null)
+        usage();
+      break;
+    default:
+      usage();
+      break;
+  }
+
+  args.entry = {
+    kind,
+    name: name.toLowerCase(),
+    domain: domain.toLowerCase().replace(/\.$/, ''),
+    address: address || null,
+    value
+  };
+
+  return args;
+}
+
+function usage() {
+  console.error('Usage: ./submit.js [--json] trademark <name> <domain> [addr]');
+  console.error('       ./submit.js [--json] custom <name> <domain>'
+              + ' [--value <hns>]');
+  process.exit(1);
+}
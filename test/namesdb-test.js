@@ -0,0 +1,157 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const bio = require('bufio');
+const util = require('../util');
+const NamesDB = require('../lib/namesdb');
+
+const {flags} = NamesDB;
+
+const NAME_VALUE = 1000;
+const ROOT_VALUE = 2000;
+const TOP_VALUE = 3000;
+
+const ITEMS = [
+  ['com', 'com.', flags.ROOT, -1],
+  ['google', 'google.com.', flags.TOP100, -1],
+  ['foo', 'foo.io.', flags.CUSTOM, 5000000],
+  ['ir', 'ir.', flags.ROOT | flags.EMBARGOED, -1]
+];
+
+// Same layout as ./generate.js writes.
+function encode(items) {
+  items = items.map(([name, target, flags, custom]) => {
+    return { name, hash: util.hashName(name), target, flags, custom };
+  });
+
+  items.sort((a, b) => a.hash.compare(b.hash));
+
+  const bw = bio.write(1 << 16);
+  const {data} = bw;
+  const offsets = [];
+
+  bw.writeU32(items.length);
+  bw.writeU64(NAME_VALUE);
+  bw.writeU64(ROOT_VALUE);
+  bw.writeU64(TOP_VALUE);
+
+  for (const item of items) {
+    bw.writeBytes(item.hash);
+    offsets.push(bw.offset);
+    bw.writeU32(0);
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    bio.writeU32(data, bw.offset, offsets[i]);
+
+    bw.writeU8(item.target.length);
+    bw.writeString(item.target, 'ascii');
+    bw.writeU8(item.flags);
+    bw.writeU8(item.target.indexOf('.'));
+
+    if (item.custom !== -1)
+      bw.writeU64(item.custom);
+  }
+
+  return bw.slice();
+}
+
+function toJSON(items) {
+  const json = {};
+
+  json[NamesDB.ZERO_HASH] = [items.length, NAME_VALUE, ROOT_VALUE, TOP_VALUE];
+
+  for (const [name, target, flags, custom] of items) {
+    const hex = util.hashName(name).toString('hex');
+
+    if (custom !== -1)
+      json[hex] = [target, flags, custom];
+    else
+      json[hex] = [target, flags];
+  }
+
+  return json;
+}
+
+describe('NamesDB', function() {
+  const db = NamesDB.decode(encode(ITEMS));
+
+  it('should read the header', () => {
+    assert.strictEqual(db.size, ITEMS.length);
+    assert.strictEqual(db.nameValue, NAME_VALUE);
+    assert.strictEqual(db.rootValue, ROOT_VALUE);
+    assert.strictEqual(db.topValue, TOP_VALUE);
+  });
+
+  it('should look up names', () => {
+    for (const [name, target, bits, custom] of ITEMS) {
+      const item = db.getByName(name);
+
+      assert(item);
+      assert.strictEqual(item.name, name);
+      assert.bufferEqual(item.hash, util.hashName(name));
+      assert.strictEqual(item.target, target);
+      assert.strictEqual(item.flags, bits);
+      assert.strictEqual(item.custom, custom);
+      assert.strictEqual(db.hasByName(name), true);
+    }
+  });
+
+  it('should look up hashes', () => {
+    const item = db.get(util.hashName('google'));
+
+    assert(item);
+    assert.strictEqual(item.name, 'google');
+    assert.strictEqual(item.root, false);
+    assert.strictEqual(item.top100, true);
+    assert.strictEqual(item.embargoed, false);
+  });
+
+  it('should decode flags', () => {
+    const item = db.getByName('ir');
+
+    assert.strictEqual(item.root, true);
+    assert.strictEqual(item.top100, false);
+    assert.strictEqual(item.embargoed, true);
+  });
+
+  it('should not find missing names', () => {
+    assert.strictEqual(db.hasByName('bar'), false);
+    assert.strictEqual(db.getByName('bar'), null);
+    assert.strictEqual(db.get(Buffer.alloc(32, 0x00)), null);
+    assert.strictEqual(db.get(Buffer.alloc(32, 0xff)), null);
+  });
+
+  it('should iterate in hash order', () => {
+    const hashes = [...db].map(item => item.hash);
+
+    assert.strictEqual(hashes.length, ITEMS.length);
+
+    for (let i = 1; i < hashes.length; i++)
+      assert(hashes[i - 1].compare(hashes[i]) < 0);
+  });
+
+  it('should verify against names.json', () => {
+    assert.deepStrictEqual(db.verify(toJSON(ITEMS)), []);
+  });
+
+  it('should report mismatches', () => {
+    const items = ITEMS.slice(0, 3);
+    const json = toJSON(items);
+    const hex = util.hashName('foo').toString('hex');
+
+    json[hex] = ['foo.io.', flags.CUSTOM, 6000000];
+
+    const errors = db.verify(json);
+
+    assert(errors.length > 0);
+    assert(errors.some(err => err.startsWith('Size mismatch')));
+    assert(errors.some(err => err.startsWith(`Value mismatch for ${hex}`)));
+    assert(errors.some(err => err.startsWith('Unknown entry: ir ')));
+  });
+});
@@ -0,0 +1,148 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const Policy = require('../lib/policy');
+const {Rewards, flags, COIN} = require('../lib/rewards');
+
+const VALID = require('../build/valid.json');
+const VALUES = require('../names/values.json');
+const POLICY = require('../names/policy.json');
+
+const NAMES = [
+  { name: 'com', domain: 'com', rank: 0 },
+  { name: 'ir', domain: 'ir', rank: 0 },
+  { name: 'google', domain: 'google.com', rank: 1 },
+  { name: 'foo', domain: 'foo.io', rank: 200 },
+  { name: 'bar', domain: 'bar.net', rank: 300 }
+];
+
+// 100 HNS split three ways, 10 HNS extra, `ir` embargoed
+// and 5 HNS for foo.io. The shares come to 33333333 each:
+//
+//   name: 33333333 / 4 = 8333333 (x4, `ir` excluded)
+//   root: 33333333 / 1 = 33333333
+//   top:  33333333 / 1 = 33333333
+//
+// Which adds up to 114999998, with 2 burned by rounding.
+function createPolicy(options = {}) {
+  return Policy.fromOptions(Object.assign({
+    forceTop100: [],
+    embargoes: ['ir'],
+    rewards: {
+      total: 100,
+      shares: { name: 1, root: 1, top100: 1 },
+      extra: [10],
+      expected: 114999998
+    }
+  }, options));
+}
+
+function createRewards(options = {}) {
+  return new Rewards(NAMES, {
+    policy: createPolicy(options.policy),
+    values: options.values || [['foo.io', 5]]
+  });
+}
+
+describe('Rewards', function() {
+  it('should compute values', () => {
+    const rewards = createRewards();
+
+    assert.strictEqual(rewards.nameValue, 8333333);
+    assert.strictEqual(rewards.rootValue, 33333333);
+    assert.strictEqual(rewards.topValue, 33333333);
+
+    const com = rewards.get('com');
+
+    assert.strictEqual(com.flags, flags.ROOT);
+    assert.strictEqual(com.value, 8333333 + 33333333);
+
+    const foo = rewards.get('foo.io');
+
+    assert.strictEqual(foo.flags, flags.CUSTOM);
+    assert.strictEqual(foo.value, 8333333 + 5 * COIN);
+
+    const ir = rewards.get('ir');
+
+    assert.strictEqual(ir.flags, flags.ROOT | flags.EMBARGOED);
+    assert.strictEqual(ir.value, 0);
+    assert.strictEqual(ir.excluded, 8333333 + 33333333);
+  });
+
+  it('should reconcile totals', () => {
+    const report = createRewards().reconcile();
+    const {count, value, burned} = report.totals;
+
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.computed, 114999998);
+    assert.strictEqual(report.difference, 0);
+
+    assert.deepStrictEqual(count, {
+      names: 5,
+      root: 2,
+      top100: 1,
+      custom: 1,
+      embargoed: 1
+    });
+
+    assert.deepStrictEqual(value, {
+      base: 4 * 8333333,
+      root: 33333333,
+      top: 33333333,
+      custom: 5 * COIN,
+      extra: 10 * COIN,
+      excluded: 8333333 + 33333333,
+      total: 114999998
+    });
+
+    assert.strictEqual(burned, 2);
+  });
+
+  it('should report a difference', () => {
+    const report = createRewards({
+      policy: {
+        rewards: {
+          total: 100,
+          shares: { name: 1, root: 1, top100: 1 },
+          extra: [10],
+          expected: 115000000
+        }
+      }
+    }).reconcile();
+
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(report.computed, 114999998);
+    assert.strictEqual(report.difference, -2);
+  });
+
+  it('should report unsatisfied values and unknown entries', () => {
+    const report = createRewards({
+      policy: { forceTop100: ['yandex'] },
+      values: [['foo.io', 5], ['missing.com', 1]]
+    }).reconcile();
+
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(report.difference, 0);
+
+    assert.deepStrictEqual(report.unsatisfied, [
+      { domain: 'missing.com', value: COIN }
+    ]);
+
+    assert.deepStrictEqual(report.unknown, {
+      forceTop100: ['yandex'],
+      embargoes: []
+    });
+  });
+
+  it('should reconcile the canonical build', () => {
+    const rewards = Rewards.fromValid(VALID, { values: VALUES });
+    const report = rewards.reconcile();
+
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.computed, POLICY.rewards.expected);
+    assert.deepStrictEqual(report.unsatisfied, []);
+  });
+});
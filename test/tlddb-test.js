@@ -0,0 +1,68 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const Path = require('path');
+const util = require('../util');
+const TLDDB = require('../lib/tlddb');
+
+const TLD_DB = Path.resolve(__dirname, '..', 'build', 'tld.db');
+const TLD_JSON = require('../build/tld.json');
+
+describe('TLDDB', function() {
+  const db = TLDDB.fromFile(TLD_DB);
+  const json = TLDDB.readJSON(TLD_JSON);
+
+  it('should have every TLD', () => {
+    assert.strictEqual(db.size, json.size);
+  });
+
+  it('should look up TLDs', () => {
+    for (const name of ['com', 'net', 'io', 'xn--p1ai']) {
+      assert.strictEqual(db.has(name), true);
+      assert.bufferEqual(db.getRaw(name), json.get(name));
+    }
+  });
+
+  it('should normalize names', () => {
+    assert.strictEqual(db.has('COM'), true);
+    assert.strictEqual(db.has('com.'), true);
+    assert.bufferEqual(db.getRaw('Com.'), json.get('com'));
+  });
+
+  it('should not find missing names', () => {
+    for (const name of ['', 'aa', 'example', 'zzzzzz', 'com.com'])
+      assert.strictEqual(db.getRaw(name), null);
+
+    assert.strictEqual(db.has('example'), false);
+  });
+
+  it('should find the first and last entries', () => {
+    const names = [...db.names()];
+    const sorted = [...json.keys()].sort(util.compare);
+
+    assert.deepStrictEqual(names, sorted);
+    assert.strictEqual(db.has(names[0]), true);
+    assert.strictEqual(db.has(names[names.length - 1]), true);
+  });
+
+  it('should verify against tld.json', () => {
+    assert.deepStrictEqual(db.verify(TLD_JSON), []);
+  });
+
+  it('should report mismatches', () => {
+    const copy = Object.assign({}, TLD_JSON);
+
+    delete copy.com;
+    copy.net = copy.org;
+    copy.zzzzzz = copy.org;
+
+    assert.deepStrictEqual(db.verify(copy), [
+      'Unknown entry: com.',
+      'Resource mismatch for net.',
+      'Missing entry: zzzzzz.'
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+/* eslint-env mocha */
+/* eslint prefer-arrow-callback: "off" */
+
+'use strict';
+
+const assert = require('bsert');
+const zonemd = require('../lib/zonemd');
+
+// RFC 8976, Appendix A.1 (Simple EXAMPLE Zone).
+const EXAMPLE = `
+$ORIGIN example.
+example.      86400  IN  SOA     ns1 admin 2018031900 (
+                                 1800 900 604800 86400 )
+              86400  IN  NS      ns1
+              86400  IN  NS      ns2
+              86400  IN  ZONEMD  2018031900 1 1 (
+                                 c68090d90a7aed71
+                                 6bc459f9340e3d7c
+                                 1370d4d24b7e2fc3
+                                 a1ddc0b9a87153b9
+                                 a9713b3c9ae5cc27
+                                 777f98b8e730044c )
+ns1           3600   IN  A       203.0.113.63
+ns2           3600   IN  AAAA    2001:db8::63
+`;
+
+const DIGEST = ''
+  + 'c68090d90a7aed716bc459f9340e3d7c'
+  + '1370d4d24b7e2fc3a1ddc0b9a87153b9'
+  + 'a9713b3c9ae5cc27777f98b8e730044c';
+
+describe('ZONEMD', function() {
+  it('should parse a ZONEMD record', () => {
+    const records = zonemd.parse(EXAMPLE);
+    const rr = records.find(rr => rr.type === zonemd.ZONEMD);
+
+    assert(rr);
+
+    const md = zonemd.read(rr);
+
+    assert.strictEqual(md.serial, 2018031900);
+    assert.strictEqual(md.scheme, zonemd.schemes.SIMPLE);
+    assert.strictEqual(md.hash, zonemd.hashes.SHA384);
+    assert.strictEqual(md.digest.toString('hex'), DIGEST);
+  });
+
+  it('should compute the digest of RFC 8976 A.1', () => {
+    const records = zonemd.parse(EXAMPLE);
+    const digest = zonemd.digest(records, 'example.', zonemd.hashes.SHA384);
+
+    assert.strictEqual(digest.toString('hex'), DIGEST);
+  });
+
+  it('should verify RFC 8976 A.1', () => {
+    const result = zonemd.verify(zonemd.parse(EXAMPLE), 'example.');
+
+    assert.strictEqual(result.status, 'pass');
+    assert.strictEqual(result.computed, DIGEST);
+    assert.strictEqual(result.error, null);
+  });
+
+  it('should ignore duplicate records', () => {
+    const text = EXAMPLE + 'ns1 3600 IN A 203.0.113.63\n';
+    const result = zonemd.verify(zonemd.parse(text), 'example.');
+
+    assert.strictEqual(result.status, 'pass');
+  });
+
+  it('should fail on a modified zone', () => {
+    const text = EXAMPLE.replace('203.0.113.63', '203.0.113.64');
+    const result = zonemd.verify(zonemd.parse(text), 'example.');
+
+    assert.strictEqual(result.status, 'fail');
+    assert.notStrictEqual(result.computed, DIGEST);
+    assert.strictEqual(result.error,
+      'Zone digest does not match the ZONEMD record.');
+  });
+
+  it('should fail on a serial mismatch', () => {
+    const text = EXAMPLE.replace('admin 2018031900', 'admin 2018031901');
+    const result = zonemd.verify(zonemd.parse(text), 'example.');
+
+    assert.strictEqual(result.status, 'fail');
+    assert.strictEqual(result.error,
+      'ZONEMD serial does not match the SOA serial.');
+  });
+
+  it('should report a missing ZONEMD record', () => {
+    const text = EXAMPLE.replace(/^.*ZONEMD[^)]*\)\n/m, '');
+    const result = zonemd.verify(zonemd.parse(text), 'example.');
+
+    assert.strictEqual(result.status, 'missing');
+  });
+});
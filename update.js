@@ -18,11 +18,68 @@ const Path = require('path');
 const {fromZone} = require('bns/lib/wire');
 const {countLabels, trimFQDN} = require('bns/lib/util');
 const util = require('./util');
+const ranking = require('./lib/ranking');
+const {sources: SOURCES} = ranking;
 
 const TLD_PATH = Path.resolve(__dirname, 'data', 'tlds-alpha-by-domain.txt');
-const ALEXA_PATH = Path.resolve(__dirname, 'data', 'top-1m.csv');
 const ROOT_PATH = Path.resolve(__dirname, 'data', 'root.zone');
-const WORDS_PATH = '/usr/share/dict/words';
+const RANKING_PATH = Path.resolve(__dirname, 'names', 'ranking.ndjson');
+
+const USAGE = `Usage: ./update.js [options]
+
+Options:
+  --source <name>       ranking source: ${Object.keys(SOURCES).join(', ')}
+                        (default: alexa)
+  --file <path>         ranking CSV (default: the source's file in data/)
+  --count <rows>        rows to keep (default: 1000000)`;
+
+const options = (() => {
+  const args = process.argv.slice(2);
+  const result = {
+    source: 'alexa',
+    file: null,
+    count: 1000000
+  };
+
+  const value = (i) => {
+    if (i >= args.length)
+      usage();
+    return args[i];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--source':
+        result.source = value(++i);
+        break;
+      case '--file':
+        result.file = Path.resolve(value(++i));
+        break;
+      case '--count': {
+        const str = value(++i);
+        if (!/^\d+$/.test(str))
+          usage();
+        result.count = parseInt(str, 10);
+        if (result.count === 0 || (result.count >>> 0) !== result.count)
+          usage();
+        break;
+      }
+      default:
+        usage();
+        break;
+    }
+  }
+
+  if (!SOURCES[result.source])
+    usage();
+
+  return result;
+})();
+
+function usage() {
+  console.error(USAGE);
+  process.exit(1);
+}
 
 // These names are blacklisted entirely.
 const BLACKLIST = [
@@ -98,7 +155,7 @@ const VALUES = [
   ['tor.torproject.com', 1194838], // Tor Project
   ['ubuntu.com', 710448], // Ubuntu
   ['verisign', 6800000], // Verisign
-  ['webtorrent.io', 405970], // WebTorrent LLC
+  ['webtorrent.io', 405970] // WebTorrent LLC
 ];
 
 const TLD = [
@@ -183,59 +240,6 @@ const RTLD = (() => {
   return result;
 })();
 
-const ALEXA = (() => {
-  const data = fs.readFileSync(ALEXA_PATH, 'utf8');
-  const lines = data.split('\n');
-  const result = [];
-
-  let cur = 1;
-
-  for (const line of lines) {
-    const ln = line.trim().toLowerCase();
-
-    if (ln.length === 0)
-      continue;
-
-    const items = ln.split(/\s*,\s*/);
-    assert(items.length === 2);
-
-    const [num, domain] = items;
-    const rank = parseInt(num, 10);
-
-    assert((rank >>> 0) === rank);
-
-    // No idea why alexa does this.
-    if (rank !== cur) {
-      assert(rank > cur);
-      console.error('Warning: rank inconsistency!');
-      console.error('Rank %d is missing.', cur);
-      cur = rank;
-    }
-
-    result.push(domain);
-    cur += 1;
-  }
-
-  assert(result.length === 1000000);
-
-  return result;
-})();
-
-const WORDS = (() => {
-  const data = fs.readFileSync(WORDS_PATH, 'utf8');
-  const lines = data.split('\n');
-  const result = [];
-
-  for (const line of lines) {
-    const word = line.trim();
-
-    if (util.isHNS(word))
-      result.push(word);
-  }
-
-  return result;
-})();
-
 fs.writeFileSync(
   Path.resolve(__dirname, 'names', 'blacklist.json'),
   JSON.stringify(BLACKLIST, null, 2) + '\n');
@@ -264,10 +268,17 @@ fs.writeFileSync(
   Path.resolve(__dirname, 'names', 'rtld.json'),
   JSON.stringify(RTLD, null, 2) + '\n');
 
-fs.writeFileSync(
-  Path.resolve(__dirname, 'names', 'alexa.json'),
-  JSON.stringify(ALEXA, null, 2) + '\n');
-
-fs.writeFileSync(
-  Path.resolve(__dirname, 'names', 'words.json'),
-  JSON.stringify(WORDS, null, 2) + '\n');
+// The ranking list is streamed rather than read into
+// memory, and only `count` domains are kept.
+(async () => {
+  const {source, file, count} = options;
+  const path = file || Path.resolve(__dirname, 'data', SOURCES[source].file);
+  const input = fs.createReadStream(path);
+  const result = await ranking.ingest(source, input, RANKING_PATH, { count });
+
+  for (const warning of result.warnings)
+    console.error('Warning: %s', warning);
+})().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const os = require('os');
+const Path = require('path');
+const cp = require('child_process');
+const fs = require('bfile');
+const manifest = require('./lib/manifest');
+const ranking = require('./lib/ranking');
+const {sources} = ranking;
+
+const MANIFEST_PATH = Path.resolve(__dirname, 'build', 'manifest.json');
+
+// Code needed to run the build.
+const CODE = ['lib', 'util.js', 'package.json'];
+
+const USAGE = `Usage: ./verify.js [--keep]
+
+Rebuild build/ from the inputs pinned in build/manifest.json
+in a temporary directory and compare every file byte for byte.
+
+Options:
+  --keep                keep the temporary directory`;
+
+const args = process.argv.slice(2);
+const keep = args.includes('--keep');
+
+if (args.some(arg => arg !== '--keep')) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (!fs.existsSync(MANIFEST_PATH)) {
+  console.error('No manifest at %s; run ./rebuild or ./manifest.js first.',
+                Path.relative(__dirname, MANIFEST_PATH));
+  process.exit(1);
+}
+
+const expected = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+// The inputs in the tree must be the pinned ones.
+{
+  const errors = [];
+
+  for (const file of Object.keys(expected.inputs)) {
+    const path = Path.resolve(__dirname, file);
+
+    if (!fs.existsSync(path)) {
+      errors.push(`${file}: missing.`);
+      continue;
+    }
+
+    if (manifest.hashFile(path).sha256 !== expected.inputs[file].sha256)
+      errors.push(`${file}: does not match the manifest.`);
+  }
+
+  if (errors.length > 0) {
+    for (const err of errors)
+      console.error(err);
+
+    console.error('Inputs have changed since %s was written.',
+                  Path.relative(__dirname, MANIFEST_PATH));
+    process.exit(1);
+  }
+}
+
+const plan = steps();
+const tmp = fs.mkdtempSync(Path.join(os.tmpdir(), 'hs-names-'));
+
+try {
+  main(tmp);
+} finally {
+  if (keep)
+    console.log('Kept %s.', tmp);
+  else
+    fs.removeSync(tmp);
+}
+
+function main(tmp) {
+  fs.mkdirpSync(Path.resolve(tmp, 'build'));
+
+  for (const file of fs.readdirSync(__dirname)) {
+    if (file.endsWith('.js') || CODE.includes(file))
+      fs.copySync(Path.resolve(__dirname, file), Path.resolve(tmp, file));
+  }
+
+  for (const file of Object.keys(expected.inputs)) {
+    const path = Path.resolve(tmp, file);
+    fs.mkdirpSync(Path.dirname(path));
+    fs.copyFileSync(Path.resolve(__dirname, file), path);
+  }
+
+  for (const [script, ...argv] of plan) {
+    console.log('Running ./%s %s', script, argv.join(' '));
+    run(tmp, script, argv);
+  }
+
+  const actual = manifest.create(tmp);
+  const errors = manifest.compare(expected, actual);
+
+  for (const err of errors)
+    console.error(err);
+
+  if (errors.length > 0) {
+    console.error('Build does not match %s.',
+                  Path.relative(__dirname, MANIFEST_PATH));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('Verified %d inputs and %d outputs.',
+              Object.keys(expected.inputs).length,
+              Object.keys(expected.outputs).length);
+}
+
+function steps() {
+  const out = [];
+
+  // names/ is regenerated from the ranking list
+  // it was built from, which must be pinned too.
+  const path = 'names/ranking.ndjson';
+
+  if (!expected.inputs[path])
+    fail(`${path} is not pinned.`);
+
+  const {source, count} = ranking.open(Path.resolve(__dirname, path));
+  const file = `data/${sources[source].file}`;
+
+  if (!expected.inputs[file])
+    fail(`${file} is not pinned.`);
+
+  out.push(['update.js', '--source', source, '--count', String(count)]);
+  out.push(['generate.js']);
+  out.push(['confusables.js']);
+  out.push(['zone.js']);
+  out.push(['zone-build.js']);
+
+  return out;
+}
+
+function fail(msg) {
+  console.error(msg);
+  console.error('Without the ranking input, build/ cannot be verified.');
+  console.error('Run ./download and ./rebuild, then commit %s.',
+                Path.relative(__dirname, MANIFEST_PATH));
+  process.exit(1);
+}
+
+function run(cwd, script, argv) {
+  // Scripts in the temporary directory use our modules.
+  const paths = [Path.resolve(__dirname, 'node_modules')];
+
+  if (process.env.NODE_PATH)
+    paths.push(process.env.NODE_PATH);
+
+  const result = cp.spawnSync(process.execPath, [script, ...argv], {
+    cwd,
+    env: Object.assign({}, process.env, {
+      NODE_PATH: paths.join(Path.delimiter)
+    }),
+    stdio: ['ignore', 'ignore', 'pipe'],
+    maxBuffer: 64 << 20
+  });
+
+  if (result.status !== 0) {
+    const lines = String(result.stderr).trim().split('\n');
+
+    for (const line of lines.slice(-20))
+      console.error(line);
+
+    throw new Error(`./${script} failed.`);
+  }
+}
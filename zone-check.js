@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const fs = require('bfile');
+const SHA256 = require('bcrypto/lib/sha256');
+const zonecheck = require('./lib/zonecheck');
+
+const ZONE_FILE = Path.resolve(__dirname, 'data', 'root.zone');
+const META_FILE = Path.resolve(__dirname, 'build', 'metadata.json');
+
+const args = process.argv.slice(2);
+const options = {};
+
+let json = false;
+let write = false;
+let file = ZONE_FILE;
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  switch (arg) {
+    case '--json':
+      json = true;
+      break;
+    case '--write':
+      write = true;
+      break;
+    case '--no-zonemd':
+      options.zonemd = false;
+      break;
+    case '--time':
+      options.now = parseTime(args[++i]);
+      break;
+    default:
+      if (arg[0] === '-')
+        usage();
+      file = arg;
+      break;
+  }
+}
+
+const text = fs.readFileSync(file, 'utf8');
+const report = zonecheck.check(text, options);
+
+if (write)
+  writeMeta(text, report);
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log('Root zone: %s (serial %d)', file, report.serial);
+  console.log('Validated at: %s', date(report.time));
+  console.log('Trust anchors: %s', report.anchors.join(', ') || 'none');
+  console.log('Delegations: %d', report.delegations);
+  console.log('Signatures: %d', report.signatures);
+
+  if (report.expires !== -1)
+    console.log('Expires: %s', date(report.expires));
+
+  if (report.zonemd && report.zonemd.status !== 'missing') {
+    const {status, digest, signed} = report.zonemd;
+    const note = signed ? '' : ', unsigned';
+
+    console.log('ZONEMD: %s%s (%s)', status, note, digest);
+  }
+
+  for (const msg of report.warnings)
+    console.log('Warning: %s', msg);
+
+  for (const msg of report.errors)
+    console.log('Error: %s', msg);
+
+  console.log(report.valid ? 'OK.' : 'Root zone is NOT valid.');
+}
+
+if (!report.valid)
+  process.exit(1);
+
+function parseTime(str) {
+  if (str == null)
+    usage();
+
+  if (/^\d+$/.test(str))
+    return parseInt(str, 10);
+
+  const ms = Date.parse(str);
+
+  if (!Number.isSafeInteger(ms) || ms < 0)
+    usage();
+
+  return Math.floor(ms / 1000);
+}
+
+function writeMeta(text, report) {
+  const meta = fs.existsSync(META_FILE)
+    ? JSON.parse(fs.readFileSync(META_FILE, 'utf8'))
+    : {};
+
+  const {zonemd} = report;
+
+  meta.zone = {
+    file: Path.relative(__dirname, Path.resolve(file)),
+    sha256: SHA256.digest(Buffer.from(text, 'utf8')).toString('hex'),
+    serial: report.serial,
+    time: report.time,
+    valid: report.valid,
+    anchors: report.anchors,
+    expires: report.expires,
+    zonemd: zonemd ? {
+      status: zonemd.status,
+      serial: zonemd.serial,
+      scheme: zonemd.scheme,
+      hash: zonemd.hash,
+      digest: zonemd.digest,
+      signed: zonemd.signed
+    } : null,
+    overrides: overrides(),
+    errors: report.errors
+  };
+
+  fs.writeFileSync(META_FILE, JSON.stringify(meta, null, 2) + '\n');
+}
+
+// Checks which were relaxed on the command line.
+function overrides() {
+  const out = {};
+
+  if (options.now != null)
+    out.time = options.now;
+
+  if (options.zonemd === false)
+    out.zonemd = false;
+
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+function date(time) {
+  return new Date(time * 1000).toISOString();
+}
+
+function usage() {
+  console.error('Usage: ./zone-check.js [options] [file]');
+  console.error('');
+  console.error('  --json          print the report as JSON');
+  console.error('  --time <time>   validate at a unix time or date');
+  console.error('  --no-zonemd     allow zones without a ZONEMD record');
+  console.error('  --write         record the result in build/metadata.json');
+  console.error('');
+  console.error('The file defaults to data/root.zone.');
+  process.exit(1);
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const Path = require('path');
+const cp = require('child_process');
+const fs = require('bfile');
+const rootzone = require('./lib/rootzone');
+
+const ZONE_FILE = Path.resolve(__dirname, 'data', 'root.zone');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const [from, to = null] = args.filter(arg => arg !== '--json');
+
+if (!from) {
+  console.error('Usage: ./zone-diff.js [--json] <old> [new]');
+  console.error('');
+  console.error('Each side is a root.zone file or a git revision.');
+  console.error('The new side defaults to data/root.zone.');
+  process.exit(1);
+}
+
+const log = rootzone.compare(load(from), load(to || ZONE_FILE));
+
+if (json)
+  console.log(JSON.stringify(log, null, 2));
+else
+  process.stdout.write(rootzone.format(log));
+
+function load(source) {
+  let text;
+
+  if (fs.existsSync(source)) {
+    text = fs.readFileSync(source, 'utf8');
+  } else {
+    text = cp.execFileSync('git', ['show', `${source}:data/root.zone`], {
+      cwd: __dirname,
+      encoding: 'utf8',
+      maxBuffer: 64 << 20
+    });
+  }
+
+  return rootzone.read(text);
+}
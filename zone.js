@@ -5,15 +5,38 @@
 const assert = require('assert');
 const Path = require('path');
 const fs = require('bfile');
+const SHA256 = require('bcrypto/lib/sha256');
 const util = require('bns/lib/util');
 const wire = require('bns/lib/wire');
+const zonemd = require('./lib/zonemd');
 const {types} = wire;
 
 const ZONE_FILE = Path.resolve(__dirname, 'data', 'root.zone');
 const ZONE_JSON = Path.resolve(__dirname, 'build', 'root.json');
+const META_FILE = Path.resolve(__dirname, 'build', 'metadata.json');
 
 const text = fs.readFileSync(ZONE_FILE, 'utf8');
-const records = wire.fromZone(text);
+
+// Only build from a zone which zone-check.js
+// has validated (DNSSEC and ZONEMD).
+const meta = fs.existsSync(META_FILE)
+  ? JSON.parse(fs.readFileSync(META_FILE, 'utf8'))
+  : {};
+
+const hash = SHA256.digest(Buffer.from(text, 'utf8')).toString('hex');
+
+if (!meta.zone || meta.zone.sha256 !== hash || !meta.zone.valid) {
+  console.error('data/root.zone has not been validated.');
+  console.error('Run `./zone-check.js --write` first.');
+  process.exit(1);
+}
+
+if (meta.zone.overrides) {
+  console.log('Warning: data/root.zone was validated with overrides: %s.',
+              JSON.stringify(meta.zone.overrides));
+}
+
+const records = zonemd.parse(text);
 
 const glue = new Map();
 